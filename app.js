@@ -0,0 +1,3546 @@
+const express = require('express');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const socketIo = require('socket.io');
+const webpush = require('web-push');
+const { isValidId } = require('./storage');
+const { validate, isEmoji } = require('./validation');
+const {
+  createRateLimiter,
+  createOriginCheck,
+  securityHeaders,
+  isPrivateAddress,
+  resolvePublicHost,
+  lookupPublicAddress
+} = require('./security');
+const { createTranslator, isValidLocale, DEFAULT_LOCALE } = require('./i18n');
+const { createJobQueue, getBackoffMs, getRetryAfterMs, MAX_BACKOFF_MS } = require('./queue');
+
+// Defaults for createMoodApp's config; server.js fills it in from the environment
+const DEFAULT_CONFIG = {
+  vapidEmail: 'your-email@example.com',
+  vapidPublicKey: 'your-public-key',
+  vapidPrivateKey: 'your-private-key',
+  adminUsernames: [],
+  sessionTtlDays: 30,
+  spaceMaxMembers: 8,
+  reminderCheckIntervalMs: 60 * 1000,
+  deliveryConcurrency: 5,
+  deliveryMaxAttempts: 6,
+  digestBurstWindowMs: 10 * 60 * 1000,
+  digestCheckIntervalMs: 30 * 1000,
+  // Other sites allowed to call the API and open sockets ('*' for any)
+  allowedOrigins: [],
+  // Express 'trust proxy' setting, so rate limits see client IPs behind a proxy
+  trustProxy: false,
+  rateLimitWindowMs: 60 * 1000,
+  // Requests per window: any API call per IP, logins and sign-ups per IP,
+  // and writes (moods, reactions, spaces...) per user
+  apiRateLimit: 300,
+  authRateLimit: 10,
+  writeRateLimit: 30,
+  // Outbound webhooks: deliveries in flight, attempts per event and how long
+  // to wait for a response. Plain http URLs are refused unless webhookAllowHttp
+  // is set, and addresses on this host or its networks (a hub on the home
+  // network, say) unless webhookAllowPrivateNetworks is.
+  webhookConcurrency: 3,
+  webhookMaxAttempts: 8,
+  webhookTimeoutMs: 10 * 1000,
+  webhookAllowHttp: false,
+  webhookAllowPrivateNetworks: false
+};
+
+// Push sender backed by web-push. The VAPID keys go with each request rather
+// than being set globally, so several apps can share a process.
+function createWebPushSender({ vapidEmail, vapidPublicKey, vapidPrivateKey }) {
+  const vapidDetails = {
+    subject: 'mailto:' + vapidEmail,
+    publicKey: vapidPublicKey,
+    privateKey: vapidPrivateKey
+  };
+
+  return {
+    sendNotification: (subscription, payload, options) =>
+      webpush.sendNotification(subscription, payload, { ...options, vapidDetails })
+  };
+}
+
+// Webhook sender backed by Node's http client. Redirects are not followed,
+// and private addresses are refused when connecting unless
+// webhookAllowPrivateNetworks is set. Resolves with the status and headers for
+// any answer (the body is discarded); rejects on network errors and timeouts
+// (which carry a system error code, like web-push's errors).
+function createWebhookSender({ webhookTimeoutMs, webhookAllowPrivateNetworks }) {
+  return {
+    send: (url, { headers, body }) => new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+
+      // IP literals never reach the lookup hook
+      const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+      if (!webhookAllowPrivateNetworks && net.isIP(host) && isPrivateAddress(host)) {
+        return reject(new Error(`${target.hostname} is a private address (${host})`));
+      }
+
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: webhookTimeoutMs,
+        lookup: webhookAllowPrivateNetworks ? undefined : lookupPublicAddress
+      }, (response) => {
+        response.resume();
+        response.on('error', reject);
+        response.on('end', () => resolve({
+          statusCode: response.statusCode,
+          headers: response.headers
+        }));
+      });
+
+      request.on('timeout', () => {
+        request.destroy(Object.assign(new Error(`No response within ${webhookTimeoutMs}ms`), { code: 'ETIMEDOUT' }));
+      });
+      request.on('error', reject);
+      request.end(body);
+    })
+  };
+}
+
+// Builds the mood app around its dependencies:
+//   store       a storage adapter from storage/index.js (required)
+//   pushSender  { sendNotification(subscription, payload, options) }, web-push by default
+//   webhookSender  { send(url, { headers, body }) } resolving to { statusCode, headers }
+//   io          a Socket.IO server; one is created when omitted (see attach)
+//   config      overrides for DEFAULT_CONFIG
+// Nothing connects, listens or schedules work until start() is called.
+function createMoodApp({ store: storage, pushSender, webhookSender, io, config: overrides = {} } = {}) {
+  if (!storage) {
+    throw new Error('createMoodApp needs a store (see storage/index.js)');
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+  const isAllowedOrigin = createOriginCheck(config.allowedOrigins);
+  pushSender = pushSender || createWebPushSender(config);
+  webhookSender = webhookSender || createWebhookSender(config);
+  io = io || socketIo({
+    cors: {
+      origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+      methods: ["GET", "POST"]
+    }
+  });
+
+  const app = express();
+  const timers = [];
+
+  // Rate limits; the per-user ones go after requireAuth
+  const apiLimiter = createRateLimiter({ windowMs: config.rateLimitWindowMs, max: config.apiRateLimit });
+  const authLimiter = createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.authRateLimit,
+    message: 'Too many attempts, please try again later'
+  });
+  const writeLimiter = createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.writeRateLimit,
+    key: (req) => req.user._id.toString()
+  });
+  const testPushLimiter = createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: 5,
+    key: (req) => req.user._id.toString()
+  });
+  const rateLimiters = [apiLimiter, authLimiter, writeLimiter, testPushLimiter];
+
+  // Middleware
+  app.set('trust proxy', config.trustProxy);
+  app.use(securityHeaders);
+  app.use(cors((req, callback) => {
+    callback(null, { origin: isAllowedOrigin(req.headers.origin, req.headers.host) });
+  }));
+  // CORS only hides responses from other sites; refuse their API calls outright
+  app.use('/api', (req, res, next) => {
+    if (!isAllowedOrigin(req.headers.origin, req.headers.host)) {
+      return res.status(403).json({ success: false, error: 'Origin not allowed' });
+    }
+    next();
+  });
+  app.use('/api', apiLimiter);
+  // Mood imports may be larger than a normal request body
+  app.use('/api/mood/import', express.json({ limit: '5mb' }), express.text({ type: 'text/csv', limit: '5mb' }));
+  app.use(express.json());
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Client setting keys mapped to NotificationSettings fields
+  const NOTIFICATION_SETTING_KEYS = {
+    'mood-updates': 'moodUpdates',
+    'daily-reminders': 'dailyReminders',
+    'browser-notifications': 'browserNotifications',
+    'sound-alerts': 'soundAlerts',
+    'quiet-hours': 'quietHours'
+  };
+
+  // Client keys for local times of day (HH:MM, in the user's time zone)
+  const TIME_SETTING_KEYS = {
+    'reminder-time': 'reminderTime',
+    'quiet-start': 'quietStart',
+    'quiet-end': 'quietEnd'
+  };
+  const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  // Notification types that can be switched off, mapped to the setting that controls them
+  const NOTIFICATION_TYPE_SETTINGS = {
+    'mood-update': 'moodUpdates',
+    'daily-reminder': 'dailyReminders'
+  };
+
+  // Buttons on each type of push. 'view' and 'close' open or dismiss it; the
+  // service worker runs the others against the API itself, without opening
+  // the app. 'hug' needs a single mood (data.moodId) to react to.
+  const NOTIFICATION_ACTIONS = {
+    'mood-update': ['hug', 'share-mood'],
+    'daily-reminder': ['share-mood', 'close'],
+    'reaction': ['view', 'close'],
+    'system': ['view', 'close']
+  };
+
+  const SESSION_TTL_DAYS = config.sessionTtlDays;
+  const ADMIN_USERNAMES = config.adminUsernames.map(username => username.toLowerCase());
+
+  // Auth helpers
+  function hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+        if (err) return reject(err);
+        resolve(derivedKey.toString('hex'));
+      });
+    });
+  }
+
+  async function verifyPassword(password, user) {
+    const hash = await hashPassword(password, user.passwordSalt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+  }
+
+  function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await storage.sessions.create({
+      tokenHash: hashToken(token),
+      userId: user._id.toString(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return token;
+  }
+
+  function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+  }
+
+  async function findUserByToken(token) {
+    if (!token) return null;
+
+    const session = await storage.sessions.findActive(hashToken(token));
+    if (!session) return null;
+
+    return storage.users.findById(session.userId);
+  }
+
+  function serializeUser(user) {
+    return {
+      id: user._id.toString(),
+      username: user.username,
+      displayName: user.displayName || user.username,
+      isAdmin: isAdmin(user)
+    };
+  }
+
+  function isAdmin(user) {
+    return Boolean(user.isAdmin) || ADMIN_USERNAMES.includes(user.username);
+  }
+
+  // Require a valid session token on the request
+  async function requireAuth(req, res, next) {
+    try {
+      const user = await findUserByToken(getBearerToken(req));
+
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ success: false, error: 'Failed to authenticate' });
+    }
+  }
+
+  // Personal API tokens are told apart from session tokens by their prefix
+  const API_TOKEN_PREFIX = 'mood_pat_';
+  const API_TOKEN_SCOPES = ['mood:read', 'mood:write'];
+  // lastUsedAt is only rewritten once it is this stale
+  const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+  // Like requireAuth, but also accepts a personal API token that has the scope.
+  // Routes without it (including token management) need a session.
+  function requireAuthOrToken(scope) {
+    return async (req, res, next) => {
+      const token = getBearerToken(req);
+      if (!token || !token.startsWith(API_TOKEN_PREFIX)) {
+        return requireAuth(req, res, next);
+      }
+
+      try {
+        const apiToken = await storage.apiTokens.findActive(hashToken(token));
+        const user = apiToken && await storage.users.findById(apiToken.userId);
+
+        if (!user) {
+          return res.status(401).json({ success: false, error: 'Invalid or expired API token' });
+        }
+
+        if (!apiToken.scopes.includes(scope)) {
+          return res.status(403).json({ success: false, error: `This token does not have the '${scope}' scope` });
+        }
+
+        if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt >= API_TOKEN_TOUCH_INTERVAL_MS) {
+          storage.apiTokens.touch(apiToken._id, new Date())
+            .catch(error => console.error('Error recording API token use:', error));
+        }
+
+        req.user = user;
+        next();
+      } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ success: false, error: 'Failed to authenticate' });
+      }
+    };
+  }
+
+  function serializeApiToken(apiToken) {
+    return {
+      id: apiToken._id.toString(),
+      name: apiToken.name,
+      prefix: apiToken.prefix,
+      scopes: apiToken.scopes,
+      createdAt: apiToken.createdAt,
+      lastUsedAt: apiToken.lastUsedAt,
+      expiresAt: apiToken.expiresAt
+    };
+  }
+
+  // Require an admin; use after requireAuth
+  function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    next();
+  }
+
+  // Space helpers
+  const SPACE_MAX_MEMBERS = config.spaceMaxMembers;
+
+  function generateInviteCode() {
+    // Unambiguous characters only, so codes are easy to read out loud
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(8);
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  }
+
+  function getUserSpace(userId) {
+    return storage.spaces.findByMember(userId);
+  }
+
+  // Socket.IO room that receives events for a user's moods
+  function getAudienceRoom(userId, spaceId) {
+    return spaceId ? `space:${spaceId}` : `user:${userId}`;
+  }
+
+  // Mood query limited to what the user may see: their space, or only their own moods
+  function getMoodScope(userId, space) {
+    return space ? { spaceId: space._id.toString() } : { userId, spaceId: null };
+  }
+
+  // Whether the requester may see another user's moods: only their own, or a member of their space
+  function canSeeMoodsOf(requesterId, space, userId) {
+    return userId === requesterId || Boolean(space && space.members.includes(userId));
+  }
+
+  async function serializeSpace(space) {
+    const [usersById, onlineIds] = await Promise.all([
+      findUsersById(space.members),
+      getOnlineUserIds(`space:${space._id}`)
+    ]);
+
+    return {
+      id: space._id.toString(),
+      name: space.name,
+      inviteCode: space.inviteCode,
+      members: space.members
+        .filter(memberId => usersById[memberId])
+        .map(memberId => ({
+          ...serializeUser(usersById[memberId]),
+          online: onlineIds.has(memberId),
+          lastSeenAt: usersById[memberId].lastSeenAt
+        }))
+    };
+  }
+
+  async function leaveSpace(userId) {
+    const space = await getUserSpace(userId);
+    if (!space) return;
+
+    const members = space.members.filter(memberId => memberId !== userId);
+
+    if (members.length === 0) {
+      await storage.spaces.delete(space._id);
+    } else {
+      await storage.spaces.update(space._id, { members });
+    }
+
+    io.in(`user:${userId}`).socketsLeave(`space:${space._id}`);
+  }
+
+  // Moves the user into a space and returns it with the new member list
+  async function joinSpace(userId, space) {
+    await leaveSpace(userId);
+
+    const joined = await storage.spaces.update(space._id, { members: [...space.members, userId] });
+    io.in(`user:${userId}`).socketsJoin(`space:${space._id}`);
+    io.to(`space:${space._id}`).emit('presence', { userId, online: await isOnline(userId), lastSeenAt: null });
+
+    return joined;
+  }
+
+  // Require the logged-in user to belong to a space (sets req.space)
+  async function requireSpace(req, res, next) {
+    try {
+      const space = await getUserSpace(req.user._id.toString());
+
+      if (!space) {
+        return res.status(403).json({ success: false, error: 'Join or create a space first' });
+      }
+
+      req.space = space;
+      next();
+    } catch (error) {
+      console.error('Error loading space:', error);
+      res.status(500).json({ success: false, error: 'Failed to load space' });
+    }
+  }
+
+  // Mood catalog helpers
+  const DEFAULT_MOOD_CATALOG = [
+    { key: 'happy', emoji: '😊', label: 'Happy', color: '#f6c343', valence: 'positive', message: "Someone's feeling happy! 😊" },
+    { key: 'excited', emoji: '🤩', label: 'Excited', color: '#f97316', valence: 'positive', message: 'Excitement is in the air! 🎉' },
+    { key: 'loved', emoji: '🥰', label: 'Loved', color: '#ec4899', valence: 'positive', message: 'Love is all around! 💕' },
+    { key: 'calm', emoji: '😌', label: 'Calm', color: '#14b8a6', valence: 'positive', message: 'Peaceful vibes detected 🧘‍♀️' },
+    { key: 'sad', emoji: '😢', label: 'Sad', color: '#3b82f6', valence: 'negative', message: 'Sending you virtual hugs 🤗' },
+    { key: 'tired', emoji: '😴', label: 'Tired', color: '#8b5cf6', valence: 'negative', message: 'Time for some rest? 😴' },
+    { key: 'stressed', emoji: '😰', label: 'Stressed', color: '#f59e0b', valence: 'negative', message: 'Take a deep breath 🌱' },
+    { key: 'angry', emoji: '😠', label: 'Angry', color: '#ef4444', valence: 'negative', message: "Let's work through this together 💪" },
+    { key: 'silly', emoji: '🤪', label: 'Silly', color: '#22c55e', valence: 'positive', message: "Someone's being silly! 🤪" }
+  ];
+
+  // Inserts any missing default moods; existing rows are left as edited
+  async function seedMoodCatalog() {
+    await storage.catalog.seedDefaults(
+      DEFAULT_MOOD_CATALOG.map((entry, index) => ({ ...entry, spaceId: null, sortOrder: index }))
+    );
+  }
+
+  // Defaults merged with the space's own entries, which win on key clashes
+  async function getMoodCatalog(spaceId, { includeRetired = false } = {}) {
+    const entries = await storage.catalog.findForSpace(spaceId);
+
+    const byKey = {};
+    entries
+      .sort((a, b) => (a.spaceId ? 1 : 0) - (b.spaceId ? 1 : 0))
+      .forEach(entry => {
+        byKey[entry.key] = entry;
+      });
+
+    return Object.values(byKey)
+      .filter(entry => includeRetired || !entry.retired)
+      .sort((a, b) => a.sortOrder - b.sortOrder || a.createdAt - b.createdAt);
+  }
+
+  async function findCatalogEntry(spaceId, key) {
+    if (spaceId) {
+      const own = await storage.catalog.findOne(spaceId, key);
+      if (own) return own;
+    }
+    return storage.catalog.findOne(null, key);
+  }
+
+  // Applies changes to the space's entry for a key, copying the default first if needed
+  async function updateCatalogEntry(spaceId, key, fields) {
+    const existing = await findCatalogEntry(spaceId, key);
+    if (!existing) return null;
+
+    let entry;
+    if (existing.spaceId) {
+      entry = await storage.catalog.update(existing._id, fields);
+    } else {
+      const { _id, __v, createdAt, ...defaults } = existing.toObject();
+      entry = await storage.catalog.create({ ...defaults, ...fields, spaceId });
+    }
+    await notifyCatalogChanged(spaceId);
+
+    return entry;
+  }
+
+  // Validates catalog fields from a request body. With requireAll, every field
+  // needed for a new entry must be present.
+  function parseCatalogFields(body, { requireAll }) {
+    const fields = {};
+    const has = (name) => body[name] !== undefined;
+
+    if (requireAll || has('key')) {
+      if (typeof body.key !== 'string' || !/^[a-z0-9-]{1,24}$/.test(body.key)) {
+        return { error: 'Key must be 1-24 lowercase letters, numbers or dashes' };
+      }
+      fields.key = body.key;
+    }
+    if (requireAll || has('emoji')) {
+      if (typeof body.emoji !== 'string' || !isEmoji(body.emoji.trim())) {
+        return { error: 'Emoji must be a single emoji' };
+      }
+      fields.emoji = body.emoji.trim();
+    }
+    if (requireAll || has('label')) {
+      if (typeof body.label !== 'string' || !body.label.trim() || body.label.trim().length > 24) {
+        return { error: 'Label must be 1-24 characters' };
+      }
+      fields.label = body.label.trim();
+    }
+    if (requireAll || has('valence')) {
+      if (!['positive', 'negative'].includes(body.valence)) {
+        return { error: "Valence must be 'positive' or 'negative'" };
+      }
+      fields.valence = body.valence;
+    }
+    if (has('color')) {
+      if (typeof body.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+        return { error: 'Colour must be a hex value like #667eea' };
+      }
+      fields.color = body.color;
+    }
+    if (has('message')) {
+      if (typeof body.message !== 'string' || body.message.length > 120) {
+        return { error: 'Message must be at most 120 characters' };
+      }
+      fields.message = body.message.trim();
+    }
+    if (has('retired')) {
+      if (typeof body.retired !== 'boolean') {
+        return { error: 'Retired must be true or false' };
+      }
+      fields.retired = body.retired;
+    }
+    if (has('sortOrder')) {
+      if (!Number.isInteger(body.sortOrder)) {
+        return { error: 'Sort order must be a whole number' };
+      }
+      fields.sortOrder = body.sortOrder;
+    }
+
+    // The key identifies the entry; it is never changed by an update
+    if (!requireAll) {
+      delete fields.key;
+    }
+
+    return fields;
+  }
+
+  function serializeCatalogEntry(entry) {
+    return {
+      key: entry.key,
+      emoji: entry.emoji,
+      label: entry.label,
+      color: entry.color,
+      message: entry.message || null,
+      valence: entry.valence,
+      retired: entry.retired,
+      custom: Boolean(entry.spaceId)
+    };
+  }
+
+  function notifyCatalogChanged(spaceId) {
+    return emitLogged(`space:${spaceId}`, 'catalog-updated');
+  }
+
+  // API Routes
+
+  // Get VAPID public key
+  app.get('/api/vapid-public-key', (req, res) => {
+    res.json({
+      publicKey: config.vapidPublicKey
+    });
+  });
+
+  // Register a new account
+  app.post('/api/auth/register', authLimiter, validate({
+    body: {
+      username: { type: 'string', required: true, maxLength: 32 },
+      password: { type: 'string', required: true, maxLength: 256 },
+      displayName: { type: 'string', maxLength: 50 }
+    }
+  }), async (req, res) => {
+    try {
+      const { username, password, displayName } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Username and password are required' });
+      }
+
+      if (password.length < 8) {
+        return res.status(400).json({ success: false, error: 'Password must be at least 8 characters' });
+      }
+
+      const existing = await storage.users.findByUsername(String(username).toLowerCase());
+      if (existing) {
+        return res.status(409).json({ success: false, error: 'Username is already taken' });
+      }
+
+      const passwordSalt = crypto.randomBytes(16).toString('hex');
+      let user;
+
+      try {
+        user = await storage.users.create({
+          username,
+          displayName,
+          passwordSalt,
+          passwordHash: await hashPassword(password, passwordSalt)
+        });
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            error: 'Username must be 3-32 characters of letters, numbers, dots, dashes or underscores'
+          });
+        }
+        throw error;
+      }
+
+      const token = await createSession(user);
+      res.status(201).json({ success: true, token, user: serializeUser(user) });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({ success: false, error: 'Failed to register' });
+    }
+  });
+
+  // Log in and receive a session token
+  app.post('/api/auth/login', authLimiter, validate({
+    body: {
+      username: { type: 'string', required: true, maxLength: 32 },
+      password: { type: 'string', required: true, maxLength: 256 }
+    }
+  }), async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Username and password are required' });
+      }
+
+      const user = await storage.users.findByUsername(String(username).toLowerCase());
+
+      if (!user || !(await verifyPassword(password, user))) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      const token = await createSession(user);
+      res.json({ success: true, token, user: serializeUser(user) });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ success: false, error: 'Failed to log in' });
+    }
+  });
+
+  // Log out (revokes the current session token)
+  app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+      await storage.sessions.deleteByTokenHash(hashToken(getBearerToken(req)));
+      res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ success: false, error: 'Failed to log out' });
+    }
+  });
+
+  // Get the logged-in user
+  app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: serializeUser(req.user) });
+  });
+
+  // Personal API tokens for scripts, automations and the `mood` CLI. They are
+  // shown once, when created; only a hash is stored.
+  const API_TOKEN_MAX_PER_USER = 20;
+
+  app.get('/api/tokens', requireAuth, async (req, res) => {
+    try {
+      const apiTokens = await storage.apiTokens.findByUser(req.user._id.toString());
+      res.json({ success: true, scopes: API_TOKEN_SCOPES, tokens: apiTokens.map(serializeApiToken) });
+    } catch (error) {
+      console.error('Error fetching API tokens:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch API tokens' });
+    }
+  });
+
+  // Create a token: { name, scopes, expiresInDays } (no expiry when expiresInDays is left out)
+  app.post('/api/tokens', requireAuth, writeLimiter, validate({
+    body: {
+      name: { type: 'string', required: true, maxLength: 50 },
+      scopes: {
+        type: 'array',
+        required: true,
+        maxItems: API_TOKEN_SCOPES.length,
+        items: { type: 'enum', values: API_TOKEN_SCOPES }
+      },
+      expiresInDays: { type: 'integer', min: 1, max: 365 }
+    }
+  }), async (req, res) => {
+    try {
+      const userId = req.user._id.toString();
+      const scopes = [...new Set(req.body.scopes)];
+
+      if (scopes.length === 0) {
+        return res.status(400).json({ success: false, error: 'Pick at least one scope' });
+      }
+
+      if (await storage.apiTokens.countByUser(userId) >= API_TOKEN_MAX_PER_USER) {
+        return res.status(400).json({ success: false, error: `You can have at most ${API_TOKEN_MAX_PER_USER} API tokens` });
+      }
+
+      const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+      const apiToken = await storage.apiTokens.create({
+        tokenHash: hashToken(token),
+        userId,
+        name: req.body.name,
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        scopes,
+        expiresAt: req.body.expiresInDays
+          ? new Date(Date.now() + req.body.expiresInDays * 24 * 60 * 60 * 1000)
+          : null
+      });
+
+      res.status(201).json({ success: true, token, apiToken: serializeApiToken(apiToken) });
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      res.status(500).json({ success: false, error: 'Failed to create API token' });
+    }
+  });
+
+  // Revoke one of your tokens
+  app.delete('/api/tokens/:id', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const apiToken = await storage.apiTokens.deleteOwn(req.params.id, req.user._id.toString());
+      if (!apiToken) {
+        return res.status(404).json({ success: false, error: 'API token not found' });
+      }
+
+      res.json({ success: true, message: 'API token revoked' });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      res.status(500).json({ success: false, error: 'Failed to revoke API token' });
+    }
+  });
+
+  // Get the space the logged-in user belongs to
+  app.get('/api/spaces/current', requireAuth, async (req, res) => {
+    try {
+      const space = await getUserSpace(req.user._id.toString());
+      res.json({ success: true, space: space ? await serializeSpace(space) : null });
+    } catch (error) {
+      console.error('Error fetching space:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch space' });
+    }
+  });
+
+  // Create a new space (leaves any current one)
+  app.post('/api/spaces', requireAuth, writeLimiter, validate({
+    body: { name: { type: 'string', required: true, maxLength: 50 } }
+  }), async (req, res) => {
+    try {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+      if (!name) {
+        return res.status(400).json({ success: false, error: 'Space name is required' });
+      }
+
+      const userId = req.user._id.toString();
+      await leaveSpace(userId);
+
+      const space = await storage.spaces.create({
+        name,
+        inviteCode: generateInviteCode(),
+        members: [userId],
+        createdBy: userId
+      });
+      io.in(`user:${userId}`).socketsJoin(`space:${space._id}`);
+
+      res.status(201).json({ success: true, space: await serializeSpace(space) });
+    } catch (error) {
+      console.error('Error creating space:', error);
+      res.status(500).json({ success: false, error: 'Failed to create space' });
+    }
+  });
+
+  // Join a space with its invite code (leaves any current one)
+  app.post('/api/spaces/join', requireAuth, writeLimiter, validate({
+    body: { inviteCode: { type: 'string', required: true, maxLength: 16 } }
+  }), async (req, res) => {
+    try {
+      const inviteCode = String(req.body.inviteCode || '').trim().toUpperCase();
+
+      if (!inviteCode) {
+        return res.status(400).json({ success: false, error: 'Invite code is required' });
+      }
+
+      let space = await storage.spaces.findByInviteCode(inviteCode);
+      if (!space) {
+        return res.status(404).json({ success: false, error: 'Invalid invite code' });
+      }
+
+      const userId = req.user._id.toString();
+
+      if (!space.members.includes(userId)) {
+        if (space.members.length >= SPACE_MAX_MEMBERS) {
+          return res.status(409).json({ success: false, error: 'This space is full' });
+        }
+        space = await joinSpace(userId, space);
+      }
+
+      res.json({ success: true, space: await serializeSpace(space) });
+    } catch (error) {
+      console.error('Error joining space:', error);
+      res.status(500).json({ success: false, error: 'Failed to join space' });
+    }
+  });
+
+  // Leave the current space
+  app.post('/api/spaces/leave', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      await leaveSpace(req.user._id.toString());
+      res.json({ success: true, message: 'Left space successfully' });
+    } catch (error) {
+      console.error('Error leaving space:', error);
+      res.status(500).json({ success: false, error: 'Failed to leave space' });
+    }
+  });
+
+  // Get the logged-in user's notification feed (?page=&limit=)
+  app.get('/api/notifications', requireAuth, validate({
+    query: {
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1 }
+    }
+  }), async (req, res) => {
+    try {
+      const userId = req.user._id.toString();
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        storage.notifications.list(userId, { skip: (page - 1) * limit, limit }),
+        storage.notifications.count(userId),
+        storage.notifications.count(userId, { unread: true })
+      ]);
+
+      res.json({
+        success: true,
+        notifications: notifications.map(serializeNotification),
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          hasMore: page * limit < total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
+    }
+  });
+
+  // Mark every notification as read
+  app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
+    try {
+      const updated = await storage.notifications.markAllRead(req.user._id.toString());
+
+      res.json({ success: true, updated });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      res.status(500).json({ success: false, error: 'Failed to mark notifications as read' });
+    }
+  });
+
+  // Mark a single notification as read
+  app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
+    try {
+      if (!isValidId(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Notification not found' });
+      }
+
+      const notification = await storage.notifications.markRead(req.user._id.toString(), req.params.id);
+
+      if (!notification) {
+        return res.status(404).json({ success: false, error: 'Notification not found' });
+      }
+
+      res.json({ success: true, notification: serializeNotification(notification) });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({ success: false, error: 'Failed to mark notification as read' });
+    }
+  });
+
+  // Get the logged-in user's notification settings
+  app.get('/api/settings/notifications', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user._id.toString();
+      const settingsByUser = await getNotificationSettings([userId]);
+
+      res.json({ success: true, settings: serializeNotificationSettings(settingsByUser[userId]) });
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+    }
+  });
+
+  // Save the logged-in user's notification settings
+  app.post('/api/settings/notifications', requireAuth, validate({
+    body: { timezone: { type: 'string', maxLength: 64 } }
+  }), async (req, res) => {
+    try {
+      const update = { updatedAt: new Date() };
+
+      for (const [key, field] of Object.entries(NOTIFICATION_SETTING_KEYS)) {
+        if (req.body[key] === undefined) continue;
+
+        if (typeof req.body[key] !== 'boolean') {
+          return res.status(400).json({ success: false, error: `Setting '${key}' must be true or false` });
+        }
+        update[field] = req.body[key];
+      }
+
+      for (const [key, field] of Object.entries(TIME_SETTING_KEYS)) {
+        if (req.body[key] === undefined) continue;
+
+        if (typeof req.body[key] !== 'string' || !TIME_OF_DAY_PATTERN.test(req.body[key])) {
+          return res.status(400).json({ success: false, error: `Setting '${key}' must be HH:MM` });
+        }
+        update[field] = req.body[key];
+      }
+
+      if (req.body.timezone !== undefined) {
+        if (!isValidTimezone(req.body.timezone)) {
+          return res.status(400).json({ success: false, error: "Setting 'timezone' must be an IANA time zone" });
+        }
+        update.timezone = req.body.timezone;
+      }
+
+      const settings = await storage.settings.update(req.user._id.toString(), update);
+
+      res.json({ success: true, settings: serializeNotificationSettings(settings) });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to save settings' });
+    }
+  });
+
+  // Subscribe to push notifications
+  app.post('/api/subscribe', requireAuth, writeLimiter, validate({
+    body: {
+      // Pushes are POSTed to the endpoint, so only https push services are accepted
+      endpoint: { type: 'string', required: true, maxLength: 2048, pattern: /^https:\/\/[^\s]+$/ },
+      keys: {
+        type: 'object',
+        required: true,
+        fields: {
+          p256dh: { type: 'string', required: true, maxLength: 256 },
+          auth: { type: 'string', required: true, maxLength: 256 }
+        }
+      },
+      locale: { type: 'string', maxLength: 35 }
+    }
+  }), async (req, res) => {
+    try {
+      const subscription = req.body;
+
+      if (!subscription || !subscription.endpoint) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid subscription object' 
+        });
+      }
+
+      if (subscription.locale && !isValidLocale(subscription.locale)) {
+        return res.status(400).json({ success: false, error: 'Invalid locale' });
+      }
+
+      // Save or update subscription
+      await storage.subscriptions.save({
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        userId: req.user._id.toString(),
+        locale: subscription.locale ? Intl.getCanonicalLocales(subscription.locale)[0] : DEFAULT_LOCALE
+      });
+
+      console.log('New push subscription saved');
+      res.json({ success: true, message: 'Subscription saved successfully' });
+    } catch (error) {
+      console.error('Error saving subscription:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to save subscription' 
+      });
+    }
+  });
+
+  // Unsubscribe from push notifications
+  app.post('/api/unsubscribe', requireAuth, validate({
+    body: { endpoint: { type: 'string', required: true, maxLength: 2048 } }
+  }), async (req, res) => {
+    try {
+      const { endpoint } = req.body;
+
+      if (!endpoint) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Endpoint is required' 
+        });
+      }
+
+      await storage.subscriptions.remove(endpoint, req.user._id.toString());
+      res.json({ success: true, message: 'Unsubscribed successfully' });
+    } catch (error) {
+      console.error('Error unsubscribing:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to unsubscribe' 
+      });
+    }
+  });
+
+  // Get current mood (optionally for a specific user via ?userId=)
+  app.get('/api/mood/current', requireAuthOrToken('mood:read'), validate({
+    query: { userId: { type: 'id' } }
+  }), async (req, res) => {
+    try {
+      const requesterId = req.user._id.toString();
+      const space = await getUserSpace(requesterId);
+      const query = getMoodScope(requesterId, space);
+      if (req.query.userId) {
+        const userId = String(req.query.userId);
+        if (!canSeeMoodsOf(requesterId, space, userId)) {
+          return res.status(404).json({ success: false, error: 'User not found in your space' });
+        }
+        query.userId = userId;
+      }
+
+      const currentMood = await storage.moods.findLatest(query);
+
+      if (!currentMood) {
+        return res.json({ success: true, mood: null });
+      }
+
+      const usersById = await findUsersById([currentMood.userId]);
+      const [moodData] = await attachReactions([serializeMood(currentMood, usersById)]);
+
+      res.json({
+        success: true,
+        mood: moodData
+      });
+    } catch (error) {
+      console.error('Error fetching mood:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch mood' });
+    }
+  });
+
+  // Limits for the optional details attached to a mood
+  const MOOD_NOTE_MAX_LENGTH = 280;
+  const MOOD_MAX_TAGS = 10;
+  const MOOD_TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,23}$/u;
+
+  // Validates note, intensity and tags from a request body. Returns the cleaned
+  // values, or { error } describing the first invalid field.
+  function parseMoodDetails(body) {
+    const details = {};
+
+    if (body.note !== undefined && body.note !== null && body.note !== '') {
+      if (typeof body.note !== 'string') {
+        return { error: 'Note must be text' };
+      }
+      details.note = body.note.trim();
+      if (details.note.length > MOOD_NOTE_MAX_LENGTH) {
+        return { error: `Note must be at most ${MOOD_NOTE_MAX_LENGTH} characters` };
+      }
+    }
+
+    if (body.intensity !== undefined && body.intensity !== null && body.intensity !== '') {
+      const intensity = Number(body.intensity);
+      if (!Number.isInteger(intensity) || intensity < 1 || intensity > 5) {
+        return { error: 'Intensity must be a whole number from 1 to 5' };
+      }
+      details.intensity = intensity;
+    }
+
+    if (body.tags !== undefined && body.tags !== null) {
+      if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+        return { error: 'Tags must be a list of text labels' };
+      }
+
+      const tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      if (tags.length > MOOD_MAX_TAGS) {
+        return { error: `At most ${MOOD_MAX_TAGS} tags are allowed` };
+      }
+      if (tags.some(tag => !MOOD_TAG_PATTERN.test(tag))) {
+        return { error: 'Tags must be up to 24 letters, numbers, spaces, dashes or underscores' };
+      }
+      if (tags.length > 0) {
+        details.tags = tags;
+      }
+    }
+
+    return details;
+  }
+
+  // Client timestamps may run ahead of the server clock by at most this much
+  const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+  // Set new mood (enhanced with notifications). Accepts an optional client
+  // timestamp and an idempotency key (Idempotency-Key header or clientId field).
+  app.post('/api/mood/set', requireAuthOrToken('mood:write'), writeLimiter, validate({
+    body: {
+      mood: { type: 'string', required: true, maxLength: 24 },
+      clientId: { type: 'string', maxLength: 64 },
+      timestamp: { type: 'date' },
+      note: { type: 'string', maxLength: MOOD_NOTE_MAX_LENGTH * 2 },
+      tags: { type: 'array', maxItems: MOOD_MAX_TAGS * 2, items: { type: 'string', maxLength: 64 } }
+    }
+  }), async (req, res) => {
+    try {
+      const { mood } = req.body;
+      const clientId = req.get('Idempotency-Key') || req.body.clientId;
+
+      if (!mood || typeof mood !== 'string') {
+        return res.status(400).json({ success: false, error: 'Mood is required' });
+      }
+
+      if (clientId !== undefined && (typeof clientId !== 'string' || !clientId || clientId.length > 64)) {
+        return res.status(400).json({ success: false, error: 'Idempotency key must be a string of up to 64 characters' });
+      }
+
+      // Moods captured offline carry the time they were picked
+      let timestamp = new Date();
+      if (req.body.timestamp !== undefined) {
+        timestamp = new Date(req.body.timestamp);
+
+        if (isNaN(timestamp.getTime()) || timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+          return res.status(400).json({ success: false, error: 'Invalid timestamp' });
+        }
+      }
+
+      const details = parseMoodDetails(req.body);
+      if (details.error) {
+        return res.status(400).json({ success: false, error: details.error });
+      }
+
+      const userId = req.user._id.toString();
+
+      if (clientId) {
+        const existing = await storage.moods.findOne({ userId, clientId });
+        if (existing) {
+          return res.json({ success: true, duplicate: true, mood: serializeMood(existing, { [userId]: req.user }) });
+        }
+      }
+
+      const space = await getUserSpace(userId);
+      const spaceId = space ? space._id.toString() : null;
+
+      // The catalog decides which moods exist and how they look
+      const catalogEntry = await findCatalogEntry(spaceId, mood);
+      if (!catalogEntry || catalogEntry.retired) {
+        return res.status(400).json({ success: false, error: `Unknown mood '${mood}'` });
+      }
+
+      let newMood;
+      try {
+        newMood = await storage.moods.create({
+          mood,
+          emoji: catalogEntry.emoji,
+          label: catalogEntry.label,
+          note: details.note,
+          intensity: details.intensity,
+          tags: details.tags,
+          timestamp,
+          userId,
+          spaceId,
+          clientId
+        });
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({ success: false, error: 'Invalid mood' });
+        }
+        if (error.code === 11000 && clientId) {
+          // A concurrent retry with the same key won the race
+          const existing = await storage.moods.findOne({ userId, clientId });
+          return res.json({ success: true, duplicate: true, mood: serializeMood(existing, { [userId]: req.user }) });
+        }
+        throw error;
+      }
+
+      const moodData = serializeMood(newMood, { [newMood.userId]: req.user });
+
+      // Emit to everyone in the sender's space
+      await emitLogged(getAudienceRoom(userId, newMood.spaceId), 'mood-updated', moodData);
+
+      // Notify the other members of the space in their feed and by push
+      const recipientIds = space ? space.members.filter(memberId => memberId !== userId) : [];
+      await createNotifications(recipientIds, {
+        type: 'mood-update',
+        describe: (t) => t('push.moodUpdate.feed', {
+          name: moodData.displayName,
+          label: localizeMood(t, moodData).label.toLowerCase()
+        }),
+        icon: moodData.emoji,
+        data: { moodId: newMood._id.toString() }
+      });
+      await sendMoodUpdateNotification(moodData, recipientIds, catalogEntry);
+      await dispatchWebhookEvent('mood.created', { userId, spaceId }, { mood: moodData });
+
+      res.json({ success: true, mood: moodData });
+    } catch (error) {
+      console.error('Error setting mood:', error);
+      res.status(500).json({ success: false, error: 'Failed to set mood' });
+    }
+  });
+
+  // Get mood history, newest first. Filters: ?userId=, ?mood= (comma-separated),
+  // ?from=&to=. Pass the returned nextCursor as ?cursor= to fetch the next page.
+  const HISTORY_MAX_LIMIT = 100;
+
+  app.get('/api/mood/history', requireAuthOrToken('mood:read'), validate({
+    query: {
+      limit: { type: 'integer', min: 1 },
+      userId: { type: 'id' },
+      mood: { type: 'string', maxLength: 500 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      cursor: { type: 'string', maxLength: 200 }
+    }
+  }), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), HISTORY_MAX_LIMIT);
+      const requesterId = req.user._id.toString();
+      const space = await getUserSpace(requesterId);
+      const query = getMoodScope(requesterId, space);
+      if (req.query.userId) {
+        const userId = String(req.query.userId);
+        if (!canSeeMoodsOf(requesterId, space, userId)) {
+          return res.status(404).json({ success: false, error: 'User not found in your space' });
+        }
+        query.userId = userId;
+      }
+
+      if (req.query.mood) {
+        query.moods = String(req.query.mood).split(',');
+      }
+
+      if (req.query.from || req.query.to) {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+          return res.status(400).json({ success: false, error: 'Invalid date range' });
+        }
+
+        if (from) query.from = from;
+        if (to) query.to = to;
+      }
+
+      if (req.query.cursor) {
+        const cursor = decodeHistoryCursor(String(req.query.cursor));
+        if (!cursor) {
+          return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        query.before = cursor;
+      }
+
+      // Fetch one extra row to learn whether another page exists
+      const moods = await storage.moods.find(query, { limit: limit + 1 });
+
+      const hasMore = moods.length > limit;
+      const page = moods.slice(0, limit);
+
+      const usersById = await findUsersById(page.map(mood => mood.userId));
+      const moodHistory = await attachReactions(page.map(mood => serializeMood(mood, usersById)));
+
+      res.json({
+        success: true,
+        history: moodHistory,
+        nextCursor: hasMore ? encodeHistoryCursor(page[page.length - 1]) : null
+      });
+    } catch (error) {
+      console.error('Error fetching mood history:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch mood history' });
+    }
+  });
+
+  // Get the mood catalog for the logged-in user's space (?includeRetired=true for all)
+  app.get('/api/moods/catalog', requireAuth, validate({
+    query: { includeRetired: { type: 'boolean' } }
+  }), async (req, res) => {
+    try {
+      const space = await getUserSpace(req.user._id.toString());
+      const catalog = await getMoodCatalog(space ? space._id.toString() : null, {
+        includeRetired: req.query.includeRetired === 'true'
+      });
+
+      res.json({ success: true, catalog: catalog.map(serializeCatalogEntry) });
+    } catch (error) {
+      console.error('Error fetching mood catalog:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch mood catalog' });
+    }
+  });
+
+  // Add a mood to the space's catalog
+  app.post('/api/moods/catalog', requireAuth, writeLimiter, requireSpace, async (req, res) => {
+    try {
+      const fields = parseCatalogFields(req.body, { requireAll: true });
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
+      }
+
+      const spaceId = req.space._id.toString();
+      if (await findCatalogEntry(spaceId, fields.key)) {
+        return res.status(409).json({ success: false, error: `Mood '${fields.key}' already exists` });
+      }
+
+      const entry = await storage.catalog.create({ ...fields, spaceId });
+      await notifyCatalogChanged(spaceId);
+
+      res.status(201).json({ success: true, mood: serializeCatalogEntry(entry) });
+    } catch (error) {
+      console.error('Error adding mood to catalog:', error);
+      res.status(500).json({ success: false, error: 'Failed to add mood' });
+    }
+  });
+
+  // Edit a mood for the space (editing a default creates a space override)
+  app.put('/api/moods/catalog/:key', requireAuth, writeLimiter, requireSpace, async (req, res) => {
+    try {
+      const fields = parseCatalogFields({ ...req.body, key: req.params.key }, { requireAll: false });
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
+      }
+
+      const entry = await updateCatalogEntry(req.space._id.toString(), req.params.key, fields);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Mood not found' });
+      }
+
+      res.json({ success: true, mood: serializeCatalogEntry(entry) });
+    } catch (error) {
+      console.error('Error updating mood in catalog:', error);
+      res.status(500).json({ success: false, error: 'Failed to update mood' });
+    }
+  });
+
+  // Retire a mood for the space. Existing entries keep rendering; restore it with
+  // PUT { retired: false }.
+  app.delete('/api/moods/catalog/:key', requireAuth, writeLimiter, requireSpace, async (req, res) => {
+    try {
+      const entry = await updateCatalogEntry(req.space._id.toString(), req.params.key, { retired: true });
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Mood not found' });
+      }
+
+      res.json({ success: true, mood: serializeCatalogEntry(entry) });
+    } catch (error) {
+      console.error('Error retiring mood:', error);
+      res.status(500).json({ success: false, error: 'Failed to retire mood' });
+    }
+  });
+
+  // Get the reactions and replies on a mood, oldest first
+  app.get('/api/mood/:id/reactions', requireAuth, async (req, res) => {
+    try {
+      const mood = await findVisibleMood(req.user, req.params.id);
+      if (!mood) {
+        return res.status(404).json({ success: false, error: 'Mood not found' });
+      }
+
+      const [moodData] = await attachReactions([{ id: mood._id.toString() }]);
+      res.json({ success: true, reactions: moodData.reactions });
+    } catch (error) {
+      console.error('Error fetching reactions:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch reactions' });
+    }
+  });
+
+  // React to a mood ({ reaction: 'hug' | 'heart' | 'coffee' } or { emoji })
+  // or reply to it ({ text })
+  app.post('/api/mood/:id/reactions', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const mood = await findVisibleMood(req.user, req.params.id);
+      if (!mood) {
+        return res.status(404).json({ success: false, error: 'Mood not found' });
+      }
+
+      const fields = parseReactionFields(req.body);
+      if (fields.error) {
+        return res.status(400).json({ success: false, error: fields.error });
+      }
+
+      const userId = req.user._id.toString();
+      const reaction = await storage.reactions.create({ ...fields, moodId: mood._id.toString(), userId });
+      const reactionData = serializeReaction(reaction, { [userId]: req.user });
+
+      await emitLogged(getAudienceRoom(mood.userId, mood.spaceId), 'reaction-added', reactionData);
+
+      // Let the person who shared the mood know, unless they reacted themselves
+      if (mood.userId !== userId) {
+        await sendReactionNotification(reactionData, mood);
+      }
+
+      await dispatchWebhookEvent('reaction.created', { userId: mood.userId, spaceId: mood.spaceId }, {
+        reaction: reactionData,
+        mood: {
+          id: mood._id.toString(),
+          userId: mood.userId,
+          mood: mood.mood,
+          emoji: mood.emoji,
+          label: mood.label
+        }
+      });
+
+      res.status(201).json({ success: true, reaction: reactionData });
+    } catch (error) {
+      console.error('Error adding reaction:', error);
+      res.status(500).json({ success: false, error: 'Failed to add reaction' });
+    }
+  });
+
+  // Remove one of your own reactions or replies
+  app.delete('/api/mood/:id/reactions/:reactionId', requireAuth, async (req, res) => {
+    try {
+      const mood = await findVisibleMood(req.user, req.params.id);
+      if (!mood || !isValidId(req.params.reactionId)) {
+        return res.status(404).json({ success: false, error: 'Reaction not found' });
+      }
+
+      const reaction = await storage.reactions.deleteOwn(req.params.reactionId, {
+        moodId: mood._id.toString(),
+        userId: req.user._id.toString()
+      });
+
+      if (!reaction) {
+        return res.status(404).json({ success: false, error: 'Reaction not found' });
+      }
+
+      await emitLogged(getAudienceRoom(mood.userId, mood.spaceId), 'reaction-removed', {
+        id: reaction._id.toString(),
+        moodId: reaction.moodId
+      });
+
+      res.json({ success: true, message: 'Reaction removed' });
+    } catch (error) {
+      console.error('Error removing reaction:', error);
+      res.status(500).json({ success: false, error: 'Failed to remove reaction' });
+    }
+  });
+
+  // Mood statistics for one user (?userId=, defaults to the logged-in user)
+  // over ?from=&to= (defaults to the last 30 days), bucketed in ?timezone=
+  app.get('/api/mood/stats', requireAuth, validate({
+    query: {
+      userId: { type: 'id' },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      timezone: { type: 'string', maxLength: 64 }
+    }
+  }), async (req, res) => {
+    try {
+      const requesterId = req.user._id.toString();
+      const space = await getUserSpace(requesterId);
+      const query = getMoodScope(requesterId, space);
+      query.userId = req.query.userId ? String(req.query.userId) : requesterId;
+
+      if (!canSeeMoodsOf(requesterId, space, query.userId)) {
+        return res.status(404).json({ success: false, error: 'User not found in your space' });
+      }
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ success: false, error: 'Invalid date range' });
+      }
+
+      let timezone = req.query.timezone;
+      if (!timezone) {
+        const settingsByUser = await getNotificationSettings([requesterId]);
+        timezone = settingsByUser[requesterId].timezone;
+      }
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ success: false, error: 'Invalid timezone' });
+      }
+
+      const stats = await getMoodStats(query, from, to, timezone);
+
+      res.json({
+        success: true,
+        userId: query.userId,
+        from,
+        to,
+        timezone,
+        ...stats
+      });
+    } catch (error) {
+      console.error('Error fetching mood stats:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch mood stats' });
+    }
+  });
+
+  // Export a user's full mood history (?format=csv|json|ics, ?userId= defaults to the logged-in user)
+  app.get('/api/mood/export', requireAuth, validate({
+    query: {
+      format: { type: 'string', maxLength: 8 },
+      userId: { type: 'id' }
+    }
+  }), async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!Object.hasOwn(MOOD_EXPORT_FORMATS, format)) {
+        return res.status(400).json({ success: false, error: 'Format must be csv, json or ics' });
+      }
+
+      const requesterId = req.user._id.toString();
+      const space = await getUserSpace(requesterId);
+      const query = getMoodScope(requesterId, space);
+      query.userId = req.query.userId ? String(req.query.userId) : requesterId;
+
+      if (!canSeeMoodsOf(requesterId, space, query.userId)) {
+        return res.status(404).json({ success: false, error: 'User not found in your space' });
+      }
+
+      const usersById = await findUsersById([query.userId]);
+      const owner = usersById[query.userId];
+      const filename = `moods-${owner ? owner.username : query.userId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Type', MOOD_EXPORT_FORMATS[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      await streamMoodExport(res, storage.moods.stream(query), format, owner);
+    } catch (error) {
+      console.error('Error exporting moods:', error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({ success: false, error: 'Failed to export moods' });
+      }
+    }
+  });
+
+  // Import moods for the logged-in user from a JSON array (as exported) or CSV text.
+  // Rows are validated like /api/mood/set; rows matching an existing mood
+  // (same time and mood) are skipped.
+  app.post('/api/mood/import', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      let rows;
+
+      if (typeof req.body === 'string') {
+        rows = parseCsv(req.body);
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else if (req.body && Array.isArray(req.body.moods)) {
+        rows = req.body.moods;
+      } else {
+        return res.status(400).json({ success: false, error: 'Send a JSON array of moods or a text/csv body' });
+      }
+
+      if (rows.length > MOOD_IMPORT_MAX_ROWS) {
+        return res.status(413).json({ success: false, error: `At most ${MOOD_IMPORT_MAX_ROWS} moods can be imported at once` });
+      }
+
+      const userId = req.user._id.toString();
+      const space = await getUserSpace(userId);
+      const results = await importMoods(rows, userId, space ? space._id.toString() : null);
+
+      res.json({ success: true, ...results });
+    } catch (error) {
+      console.error('Error importing moods:', error);
+      res.status(500).json({ success: false, error: 'Failed to import moods' });
+    }
+  });
+
+  // Recent push deliveries to you or a member of your space (?userId=, ?messageId=, ?limit=)
+  app.get('/api/deliveries', requireAuth, validate({
+    query: {
+      userId: { type: 'id' },
+      messageId: { type: 'string', maxLength: 64 },
+      limit: { type: 'integer', min: 1 }
+    }
+  }), async (req, res) => {
+    try {
+      const requesterId = req.user._id.toString();
+      const space = await getUserSpace(requesterId);
+      const userId = req.query.userId ? String(req.query.userId) : requesterId;
+
+      if (userId !== requesterId && !(space && space.members.includes(userId))) {
+        return res.status(404).json({ success: false, error: 'User not found in your space' });
+      }
+
+      const filter = { userId };
+      if (req.query.messageId) {
+        filter.messageId = String(req.query.messageId);
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const jobs = await storage.deliveries.find(filter, { limit });
+      const logs = await storage.deliveries.findLogs(jobs.map(job => job._id.toString()));
+
+      const logsByJob = {};
+      logs.forEach(entry => {
+        (logsByJob[entry.jobId] = logsByJob[entry.jobId] || []).push(entry);
+      });
+
+      res.json({
+        success: true,
+        deliveries: jobs.map(job => serializeDeliveryJob(job, logsByJob[job._id.toString()]))
+      });
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  // Outbound webhooks. A personal webhook gets your own moods and reactions to
+  // them; a space webhook gets them for everyone in your space.
+  const WEBHOOK_EVENTS = ['mood.created', 'reaction.created'];
+  const WEBHOOK_MAX_PER_USER = 10;
+  const WEBHOOK_URL_PATTERN = config.webhookAllowHttp ? /^https?:\/\/[^\s]+$/ : /^https:\/\/[^\s]+$/;
+
+  // Webhooks may not point at this host or the networks around it unless
+  // webhookAllowPrivateNetworks is set. Returns an error for the client, or null.
+  async function checkWebhookUrl(url) {
+    if (config.webhookAllowPrivateNetworks) return null;
+
+    const { hostname } = new URL(url);
+    try {
+      await resolvePublicHost(hostname);
+      return null;
+    } catch (error) {
+      return error.code ? `Can't find the host ${hostname}` : 'Webhook URLs must point to a public address';
+    }
+  }
+
+  const WEBHOOK_FIELDS = {
+    url: { type: 'string', maxLength: 2048, pattern: WEBHOOK_URL_PATTERN },
+    description: { type: 'string', maxLength: 100 },
+    events: {
+      type: 'array',
+      maxItems: WEBHOOK_EVENTS.length,
+      items: { type: 'enum', values: WEBHOOK_EVENTS }
+    }
+  };
+
+  // Your webhooks, personal and space ones
+  app.get('/api/webhooks', requireAuth, async (req, res) => {
+    try {
+      const webhooks = await storage.webhooks.findByUser(req.user._id.toString());
+      res.json({ success: true, events: WEBHOOK_EVENTS, webhooks: webhooks.map(serializeWebhook) });
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch webhooks' });
+    }
+  });
+
+  // Register a webhook: { url, events, description, space: true for your space's events }.
+  // The signing secret is only returned here and when it is rotated.
+  app.post('/api/webhooks', requireAuth, writeLimiter, validate({
+    body: {
+      ...WEBHOOK_FIELDS,
+      url: { ...WEBHOOK_FIELDS.url, required: true },
+      events: { ...WEBHOOK_FIELDS.events, required: true },
+      space: { type: 'boolean' }
+    }
+  }), async (req, res) => {
+    try {
+      const userId = req.user._id.toString();
+      const events = [...new Set(req.body.events)];
+
+      if (events.length === 0) {
+        return res.status(400).json({ success: false, error: 'Pick at least one event' });
+      }
+
+      const urlError = await checkWebhookUrl(req.body.url);
+      if (urlError) {
+        return res.status(400).json({ success: false, error: urlError });
+      }
+
+      let spaceId = null;
+      if (req.body.space) {
+        const space = await getUserSpace(userId);
+        if (!space) {
+          return res.status(403).json({ success: false, error: 'Join or create a space first' });
+        }
+        spaceId = space._id.toString();
+      }
+
+      if (await storage.webhooks.countByUser(userId) >= WEBHOOK_MAX_PER_USER) {
+        return res.status(400).json({ success: false, error: `You can have at most ${WEBHOOK_MAX_PER_USER} webhooks` });
+      }
+
+      const webhook = await storage.webhooks.create({
+        userId,
+        spaceId,
+        url: req.body.url,
+        description: req.body.description || '',
+        events,
+        secret: generateWebhookSecret()
+      });
+
+      res.status(201).json({ success: true, webhook: { ...serializeWebhook(webhook), secret: webhook.secret } });
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      res.status(500).json({ success: false, error: 'Failed to create webhook' });
+    }
+  });
+
+  // Change a webhook's url, events, description or active flag. Turning it
+  // back on also clears the failure count that switched it off.
+  app.put('/api/webhooks/:id', requireAuth, writeLimiter, validate({
+    body: { ...WEBHOOK_FIELDS, active: { type: 'boolean' } }
+  }), async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const fields = {};
+      if (req.body.url !== undefined) {
+        const urlError = await checkWebhookUrl(req.body.url);
+        if (urlError) {
+          return res.status(400).json({ success: false, error: urlError });
+        }
+        fields.url = req.body.url;
+      }
+      if (req.body.description !== undefined) fields.description = req.body.description;
+      if (req.body.events !== undefined) {
+        fields.events = [...new Set(req.body.events)];
+        if (fields.events.length === 0) {
+          return res.status(400).json({ success: false, error: 'Pick at least one event' });
+        }
+      }
+      if (req.body.active !== undefined) {
+        fields.active = req.body.active;
+        if (req.body.active) fields.failureCount = 0;
+      }
+
+      const updated = await storage.webhooks.update(webhook._id, fields);
+      res.json({ success: true, webhook: serializeWebhook(updated) });
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({ success: false, error: 'Failed to update webhook' });
+    }
+  });
+
+  // Remove a webhook and its delivery history
+  app.delete('/api/webhooks/:id', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      await storage.webhooks.delete(webhook._id);
+      res.json({ success: true, message: 'Webhook removed' });
+    } catch (error) {
+      console.error('Error removing webhook:', error);
+      res.status(500).json({ success: false, error: 'Failed to remove webhook' });
+    }
+  });
+
+  // Replace the signing secret; deliveries already queued are signed with the new one
+  app.post('/api/webhooks/:id/secret', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const updated = await storage.webhooks.update(webhook._id, { secret: generateWebhookSecret() });
+      res.json({ success: true, webhook: { ...serializeWebhook(updated), secret: updated.secret } });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+    }
+  });
+
+  // Send a 'ping' event to check the endpoint and signature handling
+  app.post('/api/webhooks/:id/ping', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const [delivery] = await queueWebhookEvent([webhook], 'ping', { webhookId: webhook._id.toString() });
+      res.status(202).json({ success: true, delivery: serializeWebhookDelivery(delivery) });
+    } catch (error) {
+      console.error('Error pinging webhook:', error);
+      res.status(500).json({ success: false, error: 'Failed to ping webhook' });
+    }
+  });
+
+  // Recent deliveries to a webhook with every attempt (?status=, ?limit=)
+  app.get('/api/webhooks/:id/deliveries', requireAuth, validate({
+    query: {
+      status: { type: 'enum', values: ['pending', 'sending', 'delivered', 'failed'] },
+      limit: { type: 'integer', min: 1 }
+    }
+  }), async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+
+      const filter = { webhookId: webhook._id.toString() };
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const deliveries = await storage.webhookDeliveries.find(filter, { limit });
+      res.json({ success: true, deliveries: deliveries.map(serializeWebhookDelivery) });
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+    }
+  });
+
+  // Send a past delivery's payload again as a new delivery with the same event id
+  app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, writeLimiter, async (req, res) => {
+    try {
+      const webhook = await findOwnWebhook(req);
+      const delivery = webhook && await storage.webhookDeliveries.findById(req.params.deliveryId);
+      if (!delivery || delivery.webhookId !== webhook._id.toString()) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+      }
+
+      const [redelivery] = await storage.webhookDeliveries.enqueue([{
+        webhookId: delivery.webhookId,
+        eventId: delivery.eventId,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery._id.toString()
+      }]);
+      webhookQueue.pump();
+
+      res.status(202).json({ success: true, delivery: serializeWebhookDelivery(redelivery) });
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+    }
+  });
+
+  // Admin: push subscriptions with their owner and delivery health
+  app.get('/api/admin/subscriptions', requireAuth, requireAdmin, validate({
+    query: { userId: { type: 'id' } }
+  }), async (req, res) => {
+    try {
+      const filter = req.query.userId ? { userId: String(req.query.userId) } : {};
+      const subscriptions = await storage.subscriptions.find(filter, { limit: 500 });
+      const usersById = await findUsersById(subscriptions.map(subscription => subscription.userId));
+
+      res.json({
+        success: true,
+        subscriptions: subscriptions.map(subscription => ({
+          id: subscription._id.toString(),
+          user: usersById[subscription.userId] ? serializeUser(usersById[subscription.userId]) : null,
+          userId: subscription.userId,
+          // The full endpoint is a capability URL, so only the push service is shown
+          pushService: getPushServiceHost(subscription.endpoint),
+          locale: subscription.locale,
+          createdAt: subscription.createdAt,
+          lastSuccessAt: subscription.lastSuccessAt,
+          failureCount: subscription.failureCount
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching subscriptions:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch subscriptions' });
+    }
+  });
+
+  // Admin: revoke a push subscription
+  app.delete('/api/admin/subscriptions/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+      if (!isValidId(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+
+      const subscription = await storage.subscriptions.deleteById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Subscription not found' });
+      }
+
+      // Anything still queued for the endpoint would only fail
+      await storage.deliveries.failPending(subscription.endpoint, 'Subscription revoked');
+
+      console.log(`Subscription ${subscription._id} revoked by ${req.user.username}`);
+      res.json({ success: true, message: 'Subscription revoked' });
+    } catch (error) {
+      console.error('Error revoking subscription:', error);
+      res.status(500).json({ success: false, error: 'Failed to revoke subscription' });
+    }
+  });
+
+  // Admin: send a test push to one subscription ({ subscriptionId }) or every device of a user ({ userId })
+  app.post('/api/admin/test-notification', requireAuth, requireAdmin, testPushLimiter, validate({
+    body: {
+      subscriptionId: { type: 'id' },
+      userId: { type: 'id' }
+    }
+  }), async (req, res) => {
+    try {
+      const { subscriptionId, userId } = req.body;
+      let subscriptions;
+
+      if (subscriptionId) {
+        const subscription = isValidId(subscriptionId) ? await storage.subscriptions.findById(subscriptionId) : null;
+        subscriptions = subscription ? [subscription] : [];
+      } else if (userId) {
+        subscriptions = await storage.subscriptions.findByUserIds([String(userId)]);
+      } else {
+        return res.status(400).json({ success: false, error: 'subscriptionId or userId is required' });
+      }
+
+      if (subscriptions.length === 0) {
+        return res.status(404).json({ success: false, error: 'No matching subscriptions' });
+      }
+
+      const results = await sendNotificationToAll(subscriptions, (t) => ({
+        title: t('push.test.title'),
+        body: t('push.test.body'),
+        icon: '/icon-192x192.png',
+        badge: '/badge-72x72.png',
+        tag: 'test',
+        data: {
+          url: '/',
+          timestamp: Date.now()
+        }
+      }));
+
+      res.json({
+        success: true,
+        message: `Test notification queued for ${results.queued} devices`,
+        details: results
+      });
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      res.status(500).json({ success: false, error: 'Failed to send test notification' });
+    }
+  });
+
+  // Admin: recent push deliveries across all users (?status=, ?limit=) and outcome counts for the last 24 hours
+  app.get('/api/admin/deliveries', requireAuth, requireAdmin, validate({
+    query: {
+      status: { type: 'enum', values: ['pending', 'sending', 'sent', 'failed', 'expired'] },
+      limit: { type: 'integer', min: 1 }
+    }
+  }), async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.status) {
+        filter.status = String(req.query.status);
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const jobs = await storage.deliveries.find(filter, { limit });
+      const logs = await storage.deliveries.findLogs(jobs.map(job => job._id.toString()));
+      const usersById = await findUsersById(jobs.map(job => job.userId));
+
+      const logsByJob = {};
+      logs.forEach(entry => {
+        (logsByJob[entry.jobId] = logsByJob[entry.jobId] || []).push(entry);
+      });
+
+      const outcomes = await storage.deliveries.countOutcomesSince(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+      res.json({
+        success: true,
+        deliveries: jobs.map(job => ({
+          ...serializeDeliveryJob(job, logsByJob[job._id.toString()]),
+          username: usersById[job.userId] ? usersById[job.userId].username : null
+        })),
+        outcomes
+      });
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  // Admin: currently connected Socket.IO clients
+  app.get('/api/admin/connections', requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const sockets = await io.fetchSockets();
+
+      res.json({
+        success: true,
+        connections: sockets.map(socket => ({
+          id: socket.id,
+          user: socket.data.user,
+          connectedAt: new Date(socket.handshake.issued),
+          address: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'] || null,
+          rooms: Array.from(socket.rooms).filter(room => room !== socket.id)
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching connections:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch connections' });
+    }
+  });
+
+  // Admin: moods shared per day across all users (?days=, default 30)
+  app.get('/api/admin/mood-volume', requireAuth, requireAdmin, validate({
+    query: { days: { type: 'integer', min: 1 } }
+  }), async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const since = new Date();
+      since.setUTCHours(0, 0, 0, 0);
+      since.setUTCDate(since.getUTCDate() - (days - 1));
+
+      const volume = await storage.moods.countByDay(since);
+
+      res.json({ success: true, days, volume });
+    } catch (error) {
+      console.error('Error fetching mood volume:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch mood volume' });
+    }
+  });
+
+  // Sockets from other sites are refused like their API calls
+  io.use((socket, next) => {
+    const { origin, host } = socket.handshake.headers;
+    next(isAllowedOrigin(origin, host) ? undefined : new Error('Origin not allowed'));
+  });
+
+  // WebSocket authentication (token sent in the handshake auth payload)
+  io.use(async (socket, next) => {
+    try {
+      const user = await findUserByToken(socket.handshake.auth && socket.handshake.auth.token);
+
+      if (!user) {
+        return next(new Error('Authentication required'));
+      }
+
+      socket.user = user;
+      // Plain copy for io.fetchSockets(), which doesn't expose socket.user
+      socket.data.user = serializeUser(user);
+      next();
+    } catch (error) {
+      console.error('Error authenticating socket:', error);
+      next(new Error('Failed to authenticate'));
+    }
+  });
+
+  // WebSocket connection handling
+  io.on('connection', async (socket) => {
+    console.log('User connected:', socket.id);
+
+    const userId = socket.user._id.toString();
+
+    // Client events: 'choosing-mood' (true/false) while a mood is selected but
+    // not shared yet, and 'mood-seen' (mood id) once a partner's mood is on screen
+    socket.on('choosing-mood', (choosing) => {
+      const spaceRoom = getSpaceRoom(socket);
+      if (spaceRoom) {
+        socket.to(spaceRoom).emit('member-choosing', { userId, choosing: choosing === true });
+      }
+    });
+
+    socket.on('mood-seen', async (moodId) => {
+      try {
+        if (typeof moodId !== 'string') return;
+
+        const mood = await findVisibleMood(socket.user, moodId);
+        if (!mood || mood.userId === userId) return;
+
+        const seenAt = new Date();
+        if (await storage.moods.markSeen(moodId, userId, seenAt)) {
+          await emitLogged(`user:${mood.userId}`, 'mood-seen', { moodId, userId, seenAt });
+        }
+      } catch (error) {
+        console.error('Error recording mood view:', error);
+      }
+    });
+
+    socket.on('disconnect', async () => {
+      console.log('User disconnected:', socket.id);
+
+      try {
+        await updatePresence(userId);
+      } catch (error) {
+        console.error('Error updating presence:', error);
+      }
+    });
+
+    try {
+      // Other tabs or devices may already have the user online
+      const wasOnline = await isOnline(userId);
+      socket.join(`user:${userId}`);
+
+      const space = await getUserSpace(userId);
+      if (space) {
+        socket.join(`space:${space._id}`);
+        if (!wasOnline) {
+          io.to(`space:${space._id}`).emit('presence', { userId, online: true, lastSeenAt: null });
+        }
+      }
+    } catch (error) {
+      console.error('Error joining space room:', error);
+    }
+
+    try {
+      // Rooms are joined first, so nothing emitted meanwhile can fall between
+      // the replay and the live events (the client drops duplicates by eventId)
+      await replayMissedEvents(socket, socket.handshake.auth.lastEventId);
+    } catch (error) {
+      console.error('Error replaying events:', error);
+    }
+  });
+
+  // Event log. Updates a client must not miss (moods, reactions, notifications,
+  // catalog changes, seen receipts) are stored before they are emitted and carry
+  // their log id as eventId. A reconnecting client sends the last eventId it
+  // handled in its handshake auth and gets everything after it replayed in order.
+  const EVENT_REPLAY_LIMIT = 200;
+
+  async function emitLogged(room, name, payload = {}) {
+    const event = await storage.events.append({ room, name, payload });
+    io.to(room).emit(name, { ...payload, eventId: event._id.toString() });
+  }
+
+  // Ends with 'replay-complete' { replayed, truncated, lastEventId }. Without a
+  // lastEventId nothing is replayed; the client just learns where the log is up
+  // to. Clients too far behind get truncated: true and should reload instead.
+  async function replayMissedEvents(socket, lastEventId) {
+    const rooms = Array.from(socket.rooms).filter(room => room !== socket.id);
+
+    if (typeof lastEventId === 'string' && isValidId(lastEventId)) {
+      const events = await storage.events.findAfter(rooms, lastEventId, { limit: EVENT_REPLAY_LIMIT + 1 });
+
+      if (events.length <= EVENT_REPLAY_LIMIT) {
+        events.forEach(event => {
+          socket.emit(event.name, { ...event.payload, eventId: event._id.toString(), replayed: true });
+        });
+
+        socket.emit('replay-complete', {
+          replayed: events.length,
+          truncated: false,
+          lastEventId: events.length > 0 ? events[events.length - 1]._id.toString() : lastEventId
+        });
+        return;
+      }
+    }
+
+    const latest = await storage.events.findLatest(rooms);
+    socket.emit('replay-complete', {
+      replayed: 0,
+      truncated: Boolean(lastEventId),
+      lastEventId: latest ? latest._id.toString() : null
+    });
+  }
+
+  // Presence: a user is online while any of their sockets is connected, so
+  // it is read from the Socket.IO rooms rather than tracked per socket
+  async function isOnline(userId) {
+    const sockets = await io.in(`user:${userId}`).fetchSockets();
+    return sockets.length > 0;
+  }
+
+  async function getOnlineUserIds(room) {
+    const sockets = await io.in(room).fetchSockets();
+    return new Set(sockets.map(socket => socket.data.user.id));
+  }
+
+  function getSpaceRoom(socket) {
+    return Array.from(socket.rooms).find(room => room.startsWith('space:')) || null;
+  }
+
+  // Called as a socket disconnects; marks the user offline once their last one is gone
+  async function updatePresence(userId) {
+    if (await isOnline(userId)) return;
+
+    const lastSeenAt = new Date();
+    await storage.users.setLastSeen(userId, lastSeenAt);
+
+    const space = await getUserSpace(userId);
+    if (space) {
+      io.to(`space:${space._id}`).emit('member-choosing', { userId, choosing: false });
+      io.to(`space:${space._id}`).emit('presence', { userId, online: false, lastSeenAt });
+    }
+  }
+
+  // Feed notification functions
+
+  // Each user's language: the locale of their newest push subscription, or
+  // the default for users who never subscribed
+  async function getUserLocales(userIds) {
+    const subscriptions = await storage.subscriptions.findByUserIds(userIds);
+    const localesByUser = {};
+    subscriptions
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach(subscription => { localesByUser[subscription.userId] = subscription.locale; });
+    return localesByUser;
+  }
+
+  // describe(t) builds the message in each recipient's language
+  async function createNotifications(userIds, { type, describe, icon, data }) {
+    try {
+      if (userIds.length === 0) {
+        return [];
+      }
+
+      const localesByUser = await getUserLocales(userIds);
+      const notifications = await storage.notifications.createMany(userIds.map(userId => ({
+        userId,
+        type,
+        message: describe(createTranslator(localesByUser[userId] || DEFAULT_LOCALE)),
+        icon,
+        data
+      })));
+
+      await Promise.all(notifications.map(notification =>
+        emitLogged(`user:${notification.userId}`, 'new-notification', serializeNotification(notification))
+      ));
+
+      return notifications;
+    } catch (error) {
+      console.error('Error creating notifications:', error);
+      return [];
+    }
+  }
+
+  function serializeNotification(notification) {
+    return {
+      id: notification._id.toString(),
+      type: notification.type,
+      message: notification.message,
+      icon: notification.icon,
+      data: notification.data,
+      read: notification.read,
+      timestamp: notification.createdAt
+    };
+  }
+
+  // Push notification functions
+  async function sendMoodUpdateNotification(moodData, recipientIds, catalogEntry) {
+    try {
+      if (recipientIds.length === 0) {
+        return;
+      }
+
+      // Custom catalog text, or null for the generic message
+      const catalogMessage = (catalogEntry && catalogEntry.message) || null;
+
+      // Recipients in quiet hours or mid-burst get this in a digest later
+      const settingsByUser = await getNotificationSettings(recipientIds);
+      const immediateIds = [];
+      for (const recipientId of recipientIds) {
+        const settings = settingsByUser[recipientId];
+        if (!settings.moodUpdates) continue;
+
+        const held = await holdForDigest(recipientId, settings, { ...moodData, message: catalogMessage });
+        if (!held) {
+          immediateIds.push(recipientId);
+        }
+      }
+
+      if (immediateIds.length === 0) {
+        return;
+      }
+
+      const subscriptions = await storage.subscriptions.findByUserIds(immediateIds);
+
+      if (subscriptions.length === 0) {
+        console.log('No subscribers for mood update notification');
+        return;
+      }
+
+      const results = await sendNotificationToAll(subscriptions, (t) => ({
+        title: t('push.moodUpdate.title'),
+        body: [
+          getMoodMessage(t, { ...moodData, message: catalogMessage }),
+          describeMoodDetails(moodData, t)
+        ].filter(Boolean).join('\n'),
+        icon: '/icon-192x192.png',
+        badge: '/badge-72x72.png',
+        // Same tag as digests, so a newer update replaces the one on screen
+        tag: 'mood-update',
+        renotify: true,
+        data: {
+          url: '/',
+          moodId: moodData.id,
+          mood: moodData.mood,
+          emoji: moodData.emoji,
+          note: moodData.note,
+          intensity: moodData.intensity,
+          tags: moodData.tags,
+          timestamp: moodData.timestamp
+        }
+      }), { type: 'mood-update' });
+      console.log(`Mood update notifications queued for ${results.queued} subscribers`);
+    } catch (error) {
+      console.error('Error sending mood update notification:', error);
+    }
+  }
+
+  // Default moods are shown in the recipient's language unless the space reworded them
+  function localizeMood(t, { mood, label, message }) {
+    const defaults = DEFAULT_MOOD_CATALOG.find(entry => entry.key === mood);
+
+    return {
+      label: defaults && label === defaults.label ? t(`mood.${mood}.label`) : label,
+      message: defaults && message === defaults.message ? t(`mood.${mood}.message`) : message
+    };
+  }
+
+  // The catalog's message for a mood ({ mood, label, emoji, message }), or a generic one
+  function getMoodMessage(t, item) {
+    const { label, message } = localizeMood(t, item);
+    return message || t('push.moodUpdate.body', { label, emoji: item.emoji });
+  }
+
+  // One-line summary of a mood's intensity, tags and note for push bodies
+  function describeMoodDetails(moodData, t) {
+    const parts = [];
+
+    if (moodData.intensity) {
+      parts.push(t('push.moodUpdate.intensity', { intensity: moodData.intensity }));
+    }
+    if (moodData.tags && moodData.tags.length > 0) {
+      parts.push(moodData.tags.map(tag => `#${tag}`).join(' '));
+    }
+    if (moodData.note) {
+      parts.push(`"${moodData.note}"`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  // Adds the type's action buttons to a payload, with the messages the service
+  // worker shows once it has run one ({placeholders} are filled in there)
+  function addNotificationActions(payload, t, type) {
+    const data = payload.data || {};
+    const names = (NOTIFICATION_ACTIONS[type] || NOTIFICATION_ACTIONS.system)
+      .filter(name => name !== 'hug' || data.moodId);
+
+    const actions = names.map((name) => {
+      if (name === 'share-mood') {
+        // Browsers that support it show a text box; the reply starts with a mood
+        return {
+          action: name,
+          type: 'text',
+          title: t('push.action.shareMood'),
+          placeholder: t('push.action.shareMood.placeholder')
+        };
+      }
+      return { action: name, title: t(`push.action.${name}`) };
+    });
+
+    if (names.every(name => name === 'view' || name === 'close')) {
+      return { ...payload, actions };
+    }
+
+    return {
+      ...payload,
+      actions,
+      data: {
+        ...data,
+        // Lets a reply name a default mood in the recipient's language
+        locale: t.locale,
+        actionMessages: {
+          'hug': t('push.actionResult.hug'),
+          'share-mood': t('push.actionResult.shareMood'),
+          queued: t('push.actionResult.queued'),
+          unknownMood: t('push.actionResult.unknownMood'),
+          signedOut: t('push.actionResult.signedOut'),
+          failed: t('push.actionResult.failed')
+        }
+      }
+    };
+  }
+
+  // Queues a push for each subscription whose owner allows it and returns the
+  // message id shared by the jobs. buildPayload(t) returns the payload in one
+  // language and is called once per locale among the subscriptions. Pass
+  // options.type to apply the matching preference and action buttons (sound
+  // alerts are honoured for every type); options.ttl (seconds), options.urgency
+  // and options.topic override the per-type delivery defaults.
+  async function sendNotificationToAll(subscriptions, buildPayload, options = {}) {
+    const results = {
+      messageId: crypto.randomUUID(),
+      queued: 0,
+      skipped: 0
+    };
+
+    const settingsByUser = await getNotificationSettings(subscriptions.map(s => s.userId));
+    const settingField = NOTIFICATION_TYPE_SETTINGS[options.type];
+
+    const payloadsByLocale = {};
+    const getPayloads = (locale) => {
+      const t = createTranslator(locale);
+      if (!payloadsByLocale[t.locale]) {
+        const payload = addNotificationActions(buildPayload(t), t, options.type);
+        payloadsByLocale[t.locale] = {
+          title: payload.title,
+          payload: JSON.stringify(payload),
+          silentPayload: JSON.stringify({ ...payload, silent: true })
+        };
+      }
+      return payloadsByLocale[t.locale];
+    };
+
+    const defaults = DELIVERY_DEFAULTS[options.type] || DELIVERY_DEFAULTS.system;
+    const ttl = options.ttl || defaults.ttl;
+    const now = Date.now();
+
+    const jobs = [];
+    subscriptions.forEach((subscription) => {
+      const settings = settingsByUser[subscription.userId];
+
+      if (settingField && !settings[settingField]) {
+        results.skipped++;
+        return;
+      }
+
+      const { title, payload, silentPayload } = getPayloads(subscription.locale);
+      jobs.push({
+        messageId: results.messageId,
+        userId: subscription.userId,
+        endpoint: subscription.endpoint,
+        type: options.type || 'system',
+        title,
+        payload: settings.soundAlerts ? payload : silentPayload,
+        ttl,
+        urgency: options.urgency || defaults.urgency,
+        topic: options.topic || defaults.topic,
+        expiresAt: new Date(now + ttl * 1000)
+      });
+    });
+
+    if (jobs.length > 0) {
+      await storage.deliveries.enqueue(jobs);
+      results.queued = jobs.length;
+      deliveryQueue.pump();
+    }
+
+    return results;
+  }
+
+  // Load notification settings for a list of users, keyed by id (defaults when unset)
+  function getNotificationSettings(userIds) {
+    return storage.settings.getForUsers([...new Set(userIds)]);
+  }
+
+  function serializeNotificationSettings(settings) {
+    const serialized = {};
+    for (const [key, field] of Object.entries({ ...NOTIFICATION_SETTING_KEYS, ...TIME_SETTING_KEYS })) {
+      serialized[key] = settings[field];
+    }
+    serialized.timezone = settings.timezone;
+    return serialized;
+  }
+
+  function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Local calendar date (YYYY-MM-DD) and time (HH:MM) of a moment in a time zone
+  function getLocalDateTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).reduce((byType, part) => {
+      byType[part.type] = part.value;
+      return byType;
+    }, {});
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  // Daily reminder scheduler
+  const REMINDER_CHECK_INTERVAL_MS = config.reminderCheckIntervalMs;
+  let reminderCheckRunning = false;
+
+  // Sends today's check-in push to every subscriber whose reminder time has passed
+  // in their own time zone. Progress is stored in lastReminderOn, so a reminder
+  // missed while the server was down still goes out once it is back that day.
+  async function sendDueReminders(now = new Date()) {
+    if (reminderCheckRunning) return;
+    reminderCheckRunning = true;
+
+    try {
+      const candidates = await storage.settings.findWithDailyReminders();
+
+      for (const settings of candidates) {
+        const timezone = isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+        const local = getLocalDateTime(now, timezone);
+
+        if (settings.lastReminderOn === local.date || local.time < settings.reminderTime) {
+          continue;
+        }
+
+        const lastMood = await storage.moods.findLatest({ userId: settings.userId });
+        const checkedInToday = lastMood && getLocalDateTime(lastMood.timestamp, timezone).date === local.date;
+
+        if (!checkedInToday) {
+          await sendDailyReminder(settings.userId);
+        }
+
+        await storage.settings.update(settings.userId, { lastReminderOn: local.date });
+      }
+    } catch (error) {
+      console.error('Error sending daily reminders:', error);
+    } finally {
+      reminderCheckRunning = false;
+    }
+  }
+
+  async function sendDailyReminder(userId) {
+    await createNotifications([userId], {
+      type: 'daily-reminder',
+      describe: (t) => t('push.reminder.body'),
+      icon: '⏰'
+    });
+
+    const subscriptions = await storage.subscriptions.findByUserIds([userId]);
+    if (subscriptions.length === 0) return;
+
+    const results = await sendNotificationToAll(subscriptions, (t) => ({
+      title: t('push.reminder.title'),
+      body: t('push.reminder.body'),
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: 'daily-reminder',
+      data: {
+        url: '/',
+        timestamp: Date.now()
+      }
+    }), { type: 'daily-reminder' });
+    console.log(`Daily reminder queued for ${results.queued} devices`);
+  }
+
+  function startReminderScheduler() {
+    sendDueReminders();
+    return setInterval(sendDueReminders, REMINDER_CHECK_INTERVAL_MS);
+  }
+
+  // History cursors are opaque to clients: base64url of "<timestamp ms>_<id>"
+  function encodeHistoryCursor(mood) {
+    return Buffer.from(`${mood.timestamp.getTime()}_${mood._id}`).toString('base64url');
+  }
+
+  function decodeHistoryCursor(cursor) {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+    const timestamp = new Date(Number(time));
+
+    if (!time || isNaN(timestamp.getTime()) || !isValidId(id)) {
+      return null;
+    }
+
+    return { timestamp, id };
+  }
+
+  // Reaction helpers
+  const REACTION_PRESETS = {
+    hug: { emoji: '🤗' },
+    heart: { emoji: '❤️' },
+    coffee: { emoji: '☕' }
+  };
+  const REPLY_MAX_LENGTH = 200;
+
+  // A mood by id, only if it is in the user's space (or their own without a space)
+  async function findVisibleMood(user, moodId) {
+    if (!isValidId(moodId)) return null;
+
+    const userId = user._id.toString();
+    const space = await getUserSpace(userId);
+
+    return storage.moods.findOne({ id: moodId, ...getMoodScope(userId, space) });
+  }
+
+  function parseReactionFields(body) {
+    if (body.text !== undefined) {
+      const text = typeof body.text === 'string' ? body.text.trim() : '';
+      if (!text || text.length > REPLY_MAX_LENGTH) {
+        return { error: `Reply must be 1-${REPLY_MAX_LENGTH} characters` };
+      }
+      return { kind: 'reply', text };
+    }
+
+    if (body.reaction !== undefined) {
+      const preset = Object.hasOwn(REACTION_PRESETS, body.reaction) && REACTION_PRESETS[body.reaction];
+      if (!preset) {
+        return { error: `Reaction must be one of ${Object.keys(REACTION_PRESETS).join(', ')}` };
+      }
+      return { kind: 'reaction', emoji: preset.emoji };
+    }
+
+    if (typeof body.emoji === 'string' && isEmoji(body.emoji.trim())) {
+      return { kind: 'reaction', emoji: body.emoji.trim() };
+    }
+
+    return { error: 'Send a reaction, an emoji or a text reply' };
+  }
+
+  function serializeReaction(reaction, usersById = {}) {
+    const user = usersById[reaction.userId];
+
+    return {
+      id: reaction._id.toString(),
+      moodId: reaction.moodId,
+      kind: reaction.kind,
+      emoji: reaction.emoji || null,
+      text: reaction.text || null,
+      userId: reaction.userId,
+      displayName: user ? (user.displayName || user.username) : reaction.userId,
+      timestamp: reaction.createdAt
+    };
+  }
+
+  // Adds each mood's reaction thread (oldest first) to serialized moods
+  async function attachReactions(moods) {
+    const reactions = await storage.reactions.findByMoodIds(moods.map(mood => mood.id));
+    const usersById = await findUsersById(reactions.map(reaction => reaction.userId));
+
+    const byMood = {};
+    reactions.forEach(reaction => {
+      (byMood[reaction.moodId] = byMood[reaction.moodId] || []).push(serializeReaction(reaction, usersById));
+    });
+
+    return moods.map(mood => ({ ...mood, reactions: byMood[mood.id] || [] }));
+  }
+
+  async function sendReactionNotification(reactionData, mood) {
+    const preset = Object.keys(REACTION_PRESETS).find(name => REACTION_PRESETS[name].emoji === reactionData.emoji);
+    const describe = (t) => reactionData.kind === 'reply'
+      ? t('push.reaction.reply', { name: reactionData.displayName, text: reactionData.text })
+      : t(`push.reaction.${preset || 'other'}`, { name: reactionData.displayName, emoji: reactionData.emoji });
+
+    await createNotifications([mood.userId], {
+      type: 'reaction',
+      describe,
+      icon: reactionData.emoji || '💬',
+      data: { moodId: reactionData.moodId, reactionId: reactionData.id }
+    });
+
+    const subscriptions = await storage.subscriptions.findByUserIds([mood.userId]);
+    if (subscriptions.length === 0) return;
+
+    await sendNotificationToAll(subscriptions, (t) => ({
+      title: t('push.reaction.title', {
+        label: localizeMood(t, { mood: mood.mood, label: mood.label || mood.mood }).label,
+        emoji: mood.emoji
+      }),
+      body: describe(t),
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: `reaction-${reactionData.moodId}`,
+      data: {
+        url: '/',
+        moodId: reactionData.moodId,
+        timestamp: Date.now()
+      }
+    }), { type: 'reaction' });
+  }
+
+  // Mood statistics
+  const STREAK_LOOKBACK_DAYS = 366;
+
+  async function getMoodStats(query, from, to, timezone) {
+    const stats = await storage.moods.getStats(query, from, to, timezone);
+    const since = new Date(Date.now() - STREAK_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const checkInDays = await storage.moods.getCheckInDays(query, since, timezone);
+
+    return {
+      total: stats.moodCounts.reduce((sum, entry) => sum + entry.count, 0),
+      ...stats,
+      currentStreak: getCurrentStreak(new Set(checkInDays), timezone)
+    };
+  }
+
+  // Consecutive days with a check-in, counting back from today (or from
+  // yesterday, so a streak isn't broken before today's check-in)
+  function getCurrentStreak(checkInDays, timezone) {
+    // Step through calendar dates in UTC so DST changes can't skip a day
+    const day = new Date(`${getLocalDateTime(new Date(), timezone).date}T00:00:00Z`);
+    const dateKey = () => day.toISOString().slice(0, 10);
+
+    if (!checkInDays.has(dateKey())) {
+      day.setUTCDate(day.getUTCDate() - 1);
+    }
+
+    let streak = 0;
+    while (checkInDays.has(dateKey())) {
+      streak++;
+      day.setUTCDate(day.getUTCDate() - 1);
+    }
+
+    return streak;
+  }
+
+  // Mood export and import
+  const MOOD_EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8'
+  };
+  const MOOD_CSV_COLUMNS = ['timestamp', 'mood', 'emoji', 'intensity', 'tags', 'note'];
+  const MOOD_IMPORT_MAX_ROWS = 10000;
+  const MOOD_EVENT_DURATION_MS = 30 * 60 * 1000;
+
+  async function streamMoodExport(res, cursor, format, owner) {
+    if (format === 'csv') {
+      res.write(MOOD_CSV_COLUMNS.join(',') + '\r\n');
+    } else if (format === 'json') {
+      res.write('[');
+    } else {
+      res.write(['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Mood Sharing App//EN', 'CALSCALE:GREGORIAN',
+        foldIcsLine(`X-WR-CALNAME:${escapeIcsText(`Moods - ${owner ? owner.displayName || owner.username : 'export'}`)}`)
+      ].join('\r\n') + '\r\n');
+    }
+
+    let first = true;
+    for await (const mood of cursor) {
+      const entry = toMoodExportRow(mood);
+
+      if (format === 'csv') {
+        res.write(MOOD_CSV_COLUMNS.map(column => toCsvField(entry[column])).join(',') + '\r\n');
+      } else if (format === 'json') {
+        res.write((first ? '' : ',') + JSON.stringify(entry));
+      } else {
+        res.write(toIcsEvent(mood));
+      }
+      first = false;
+    }
+
+    res.end(format === 'json' ? ']' : format === 'ics' ? 'END:VCALENDAR\r\n' : '');
+  }
+
+  function toMoodExportRow(mood) {
+    return {
+      timestamp: mood.timestamp.toISOString(),
+      mood: mood.mood,
+      emoji: mood.emoji,
+      intensity: mood.intensity || null,
+      tags: mood.tags || [],
+      note: mood.note || null
+    };
+  }
+
+  function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = Array.isArray(value) ? value.join(';') : String(value);
+    // Keep spreadsheets from evaluating user text as a formula
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Minimal RFC 4180 parser; the first row is the header
+  function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    const columns = header.map(column => column.trim().toLowerCase());
+
+    return rows.map(row => columns.reduce((entry, column, index) => {
+      const value = row[index] === undefined ? '' : row[index];
+      // Undo the formula guard added by toCsvField
+      entry[column] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+      return entry;
+    }, {}));
+  }
+
+  function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold content lines at 75 octets without splitting multi-byte characters
+  function foldIcsLine(line) {
+    const chunks = [];
+    let chunk = '';
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+      if (Buffer.byteLength(chunk + char) > limit) {
+        chunks.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+  }
+
+  function toIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function toIcsEvent(mood) {
+    const label = mood.label || mood.mood.charAt(0).toUpperCase() + mood.mood.slice(1);
+    const description = [
+      mood.intensity ? `Intensity ${mood.intensity}/5` : null,
+      mood.tags && mood.tags.length > 0 ? mood.tags.map(tag => `#${tag}`).join(' ') : null,
+      mood.note || null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${mood._id}@mood-sharing-app`,
+      `DTSTAMP:${toIcsDate(new Date())}`,
+      `DTSTART:${toIcsDate(mood.timestamp)}`,
+      `DTEND:${toIcsDate(new Date(mood.timestamp.getTime() + MOOD_EVENT_DURATION_MS))}`,
+      `SUMMARY:${escapeIcsText(`${mood.emoji} ${label}`)}`
+    ];
+    if (description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    }
+    if (mood.tags && mood.tags.length > 0) {
+      lines.push(`CATEGORIES:${mood.tags.map(escapeIcsText).join(',')}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  // Validates and stores imported rows. Returns counts plus the first few
+  // invalid rows (1-based, excluding any CSV header).
+  async function importMoods(rows, userId, spaceId) {
+    // Retired moods are accepted, since imports are history. A Map, so keys
+    // like 'constructor' don't find Object.prototype members.
+    const catalogByKey = new Map(
+      (await getMoodCatalog(spaceId, { includeRetired: true })).map(entry => [entry.key, entry])
+    );
+    const invalid = [];
+    const candidates = [];
+
+    rows.forEach((row, index) => {
+      const error = (message) => invalid.push({ row: index + 1, error: message });
+
+      if (!row || typeof row !== 'object') {
+        return error('Row must be an object');
+      }
+      const catalogEntry = catalogByKey.get(row.mood);
+      if (!catalogEntry) {
+        return error(`Unknown mood '${row.mood}'`);
+      }
+
+      const timestamp = new Date(row.timestamp);
+      if (isNaN(timestamp.getTime()) || timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return error('Invalid timestamp');
+      }
+
+      const details = parseMoodDetails({
+        note: row.note,
+        intensity: row.intensity,
+        tags: typeof row.tags === 'string' ? row.tags.split(';').filter(Boolean) : row.tags
+      });
+      if (details.error) {
+        return error(details.error);
+      }
+
+      // Anything but a real emoji falls back to the catalog's
+      const emoji = isEmoji(row.emoji) ? row.emoji : catalogEntry.emoji;
+      candidates.push({ mood: row.mood, emoji, label: catalogEntry.label, timestamp, ...details, userId, spaceId });
+    });
+
+    // Skip rows that match an existing mood or an earlier row in the same import
+    const existing = await storage.moods.find({ userId, timestamps: candidates.map(candidate => candidate.timestamp) });
+    const seen = new Set(existing.map(mood => `${mood.timestamp.getTime()}|${mood.mood}`));
+
+    const toInsert = candidates.filter(candidate => {
+      const key = `${candidate.timestamp.getTime()}|${candidate.mood}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (toInsert.length > 0) {
+      await storage.moods.insertMany(toInsert);
+    }
+
+    return {
+      imported: toInsert.length,
+      skipped: candidates.length - toInsert.length,
+      invalidCount: invalid.length,
+      invalid: invalid.slice(0, 50)
+    };
+  }
+
+  // Push delivery queue
+  const DELIVERY_CONCURRENCY = config.deliveryConcurrency;
+  const DELIVERY_MAX_ATTEMPTS = config.deliveryMaxAttempts;
+  const DELIVERY_POLL_INTERVAL_MS = 5 * 1000;
+  const DELIVERY_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+  // TTL (seconds), urgency and topic per notification type. A topic lets the
+  // push service replace an undelivered message with a newer one.
+  const DELIVERY_DEFAULTS = {
+    'mood-update': { ttl: 6 * 60 * 60, urgency: 'normal', topic: 'mood-update' },
+    'daily-reminder': { ttl: 2 * 60 * 60, urgency: 'low', topic: 'daily-reminder' },
+    'reaction': { ttl: 24 * 60 * 60, urgency: 'normal' },
+    'system': { ttl: 10 * 60, urgency: 'high' }
+  };
+
+  const deliveryQueue = createJobQueue({
+    name: 'push delivery',
+    jobs: storage.deliveries,
+    concurrency: DELIVERY_CONCURRENCY,
+    pollIntervalMs: DELIVERY_POLL_INTERVAL_MS,
+    lockTimeoutMs: DELIVERY_LOCK_TIMEOUT_MS,
+    handle: deliverJob
+  });
+
+  async function deliverJob(job) {
+    const log = (outcome, error) => storage.deliveries.logAttempt({
+      jobId: job._id.toString(),
+      messageId: job.messageId,
+      userId: job.userId,
+      endpoint: job.endpoint,
+      type: job.type,
+      attempt: job.attempts,
+      outcome,
+      statusCode: error ? error.statusCode || null : 201,
+      error: error ? error.message : null
+    });
+
+    if (job.expiresAt <= new Date()) {
+      await finishJob(job, 'expired', 'TTL passed before delivery');
+      await log('expired');
+      return;
+    }
+
+    const subscription = await storage.subscriptions.findByEndpoint(job.endpoint);
+    if (!subscription) {
+      await finishJob(job, 'failed', 'Subscription no longer exists');
+      await log('gone');
+      return;
+    }
+
+    // Only send the TTL that is left, so retries don't outlive the original
+    const ttl = Math.max(Math.floor((job.expiresAt - Date.now()) / 1000), 0);
+    const options = { TTL: ttl, urgency: job.urgency };
+    if (job.topic) {
+      options.topic = job.topic;
+    }
+
+    try {
+      await pushSender.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, job.payload, options);
+    } catch (error) {
+      await handleDeliveryError(job, subscription, error, log);
+      return;
+    }
+
+    await finishJob(job, 'sent');
+    await storage.subscriptions.recordSuccess(subscription._id);
+    // Starts the burst window, so updates right after this one are digested
+    if (job.type === 'mood-update') {
+      await storage.digests.markSent([job.userId], new Date());
+    }
+    await log('delivered');
+  }
+
+  async function handleDeliveryError(job, subscription, error, log) {
+    await storage.subscriptions.recordFailure(subscription._id);
+
+    // The browser dropped the subscription
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await storage.subscriptions.deleteById(subscription._id);
+      console.log('Removed invalid subscription:', subscription.endpoint);
+      await finishJob(job, 'failed', error.message);
+      await log('gone', error);
+      return;
+    }
+
+    // Rate limits, push service errors and network failures (which carry a
+    // system error code) are worth retrying; bad subscription keys are not
+    const retryable = error.statusCode
+      ? error.statusCode === 429 || error.statusCode >= 500
+      : Boolean(error.code);
+    if (!retryable || job.attempts >= DELIVERY_MAX_ATTEMPTS) {
+      await finishJob(job, 'failed', error.message);
+      await log('failed', error);
+      return;
+    }
+
+    const delay = Math.max(getRetryAfterMs(error), getBackoffMs(job.attempts));
+    const nextAttemptAt = new Date(Date.now() + delay);
+
+    if (nextAttemptAt >= job.expiresAt) {
+      await finishJob(job, 'expired', error.message);
+      await log('expired', error);
+      return;
+    }
+
+    await storage.deliveries.update(
+      job._id,
+      { status: 'pending', lockedAt: null, nextAttemptAt, lastError: error.message }
+    );
+    await log('retry', error);
+  }
+
+  function finishJob(job, status, lastError = null) {
+    return storage.deliveries.update(
+      job._id,
+      { status, lastError, lockedAt: null, completedAt: new Date() }
+    );
+  }
+
+  function getPushServiceHost(endpoint) {
+    try {
+      return new URL(endpoint).host;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  function serializeDeliveryJob(job, logs = []) {
+    return {
+      id: job._id.toString(),
+      messageId: job.messageId,
+      userId: job.userId,
+      type: job.type,
+      title: job.title || null,
+      status: job.status,
+      attempts: job.attempts,
+      urgency: job.urgency,
+      ttl: job.ttl,
+      lastError: job.lastError,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null,
+      attemptLog: logs.map(entry => ({
+        attempt: entry.attempt,
+        outcome: entry.outcome,
+        statusCode: entry.statusCode,
+        error: entry.error,
+        timestamp: entry.createdAt
+      }))
+    };
+  }
+
+  // Webhook delivery queue (retries and backoff as for pushes)
+  const WEBHOOK_CONCURRENCY = config.webhookConcurrency;
+  const WEBHOOK_MAX_ATTEMPTS = config.webhookMaxAttempts;
+  // A webhook that keeps failing is switched off until its owner turns it back on
+  const WEBHOOK_DISABLE_AFTER_FAILURES = 20;
+
+  const webhookQueue = createJobQueue({
+    name: 'webhook delivery',
+    jobs: storage.webhookDeliveries,
+    concurrency: WEBHOOK_CONCURRENCY,
+    pollIntervalMs: DELIVERY_POLL_INTERVAL_MS,
+    lockTimeoutMs: DELIVERY_LOCK_TIMEOUT_MS,
+    handle: deliverWebhook
+  });
+
+  function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  async function findOwnWebhook(req) {
+    const webhook = await storage.webhooks.findById(req.params.id);
+    return webhook && webhook.userId === req.user._id.toString() ? webhook : null;
+  }
+
+  // Queues an event for the webhooks that want it: the user's personal ones and
+  // those of the space it happened in. Failures are logged rather than thrown,
+  // so a webhook problem never fails the request that caused the event.
+  async function dispatchWebhookEvent(event, { userId, spaceId }, data) {
+    try {
+      const webhooks = await storage.webhooks.findForEvent(event, { userId, spaceId: spaceId || null });
+      if (webhooks.length === 0) return;
+
+      // Space webhooks stop firing when the member who added them leaves
+      const space = spaceId ? await storage.spaces.findById(spaceId) : null;
+      const targets = webhooks.filter(webhook =>
+        !webhook.spaceId || (space && space.members.includes(webhook.userId))
+      );
+
+      await queueWebhookEvent(targets, event, data);
+    } catch (error) {
+      console.error('Error queuing webhook event:', error);
+    }
+  }
+
+  // Queues one delivery per webhook; they share the event id and payload
+  async function queueWebhookEvent(webhooks, event, data) {
+    if (webhooks.length === 0) return [];
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+
+    const deliveries = await storage.webhookDeliveries.enqueue(webhooks.map(webhook => ({
+      webhookId: webhook._id.toString(),
+      eventId,
+      event,
+      payload
+    })));
+    webhookQueue.pump();
+    return deliveries;
+  }
+
+  // X-Mood-Signature is "sha256=" and the hex HMAC-SHA256 of
+  // "<X-Mood-Timestamp>.<body>" keyed with the webhook's secret. Receivers
+  // should compare it in constant time and reject stale timestamps.
+  function signWebhookPayload(secret, timestamp, payload) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  }
+
+  async function deliverWebhook(delivery) {
+    const webhook = await storage.webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await storage.webhookDeliveries.update(delivery._id, {
+        status: 'failed',
+        lockedAt: null,
+        lastError: webhook ? 'Webhook is turned off' : 'Webhook no longer exists',
+        completedAt: new Date()
+      });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'mood-sharing-app-webhooks',
+      'X-Mood-Event': delivery.event,
+      'X-Mood-Delivery': delivery._id.toString(),
+      'X-Mood-Timestamp': String(timestamp),
+      'X-Mood-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`
+    };
+
+    const startedAt = Date.now();
+    let response = null;
+    let sendError = null;
+    try {
+      response = await webhookSender.send(webhook.url, { headers, body: delivery.payload });
+    } catch (error) {
+      sendError = error;
+    }
+
+    const delivered = Boolean(response) && response.statusCode >= 200 && response.statusCode < 300;
+    const statusCode = response ? response.statusCode : null;
+    const lastError = delivered ? null : sendError ? sendError.message : `Receiver answered ${statusCode}`;
+    const attempt = {
+      attempt: delivery.attempts,
+      statusCode,
+      error: lastError,
+      durationMs: Date.now() - startedAt,
+      createdAt: new Date()
+    };
+
+    if (delivered) {
+      await storage.webhookDeliveries.update(
+        delivery._id,
+        { status: 'delivered', lockedAt: null, lastStatusCode: statusCode, lastError: null, completedAt: new Date() },
+        attempt
+      );
+      await storage.webhooks.recordSuccess(webhook._id);
+      return;
+    }
+
+    // Timeouts, network errors, rate limits and server errors are worth
+    // retrying; other answers (redirects included) will not change
+    const retryable = response
+      ? statusCode === 408 || statusCode === 429 || statusCode >= 500
+      : Boolean(sendError.code);
+
+    if (retryable && delivery.attempts < WEBHOOK_MAX_ATTEMPTS) {
+      const retryAfter = response ? getRetryAfterMs({ headers: response.headers }) : 0;
+      const delay = Math.min(Math.max(retryAfter, getBackoffMs(delivery.attempts)), MAX_BACKOFF_MS);
+      await storage.webhookDeliveries.update(
+        delivery._id,
+        { status: 'pending', lockedAt: null, nextAttemptAt: new Date(Date.now() + delay), lastStatusCode: statusCode, lastError },
+        attempt
+      );
+      return;
+    }
+
+    await storage.webhookDeliveries.update(
+      delivery._id,
+      { status: 'failed', lockedAt: null, lastStatusCode: statusCode, lastError, completedAt: new Date() },
+      attempt
+    );
+
+    const failing = await storage.webhooks.recordFailure(webhook._id);
+    if (failing && failing.failureCount >= WEBHOOK_DISABLE_AFTER_FAILURES) {
+      await storage.webhooks.update(webhook._id, { active: false });
+      console.log('Turned off failing webhook:', webhook._id.toString());
+    }
+  }
+
+  function serializeWebhook(webhook) {
+    return {
+      id: webhook._id.toString(),
+      url: webhook.url,
+      description: webhook.description,
+      events: webhook.events,
+      spaceId: webhook.spaceId,
+      active: webhook.active,
+      lastSuccessAt: webhook.lastSuccessAt,
+      failureCount: webhook.failureCount,
+      createdAt: webhook.createdAt
+    };
+  }
+
+  function serializeWebhookDelivery(delivery) {
+    return {
+      id: delivery._id.toString(),
+      eventId: delivery.eventId,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      lastStatusCode: delivery.lastStatusCode,
+      lastError: delivery.lastError,
+      redeliveryOf: delivery.redeliveryOf,
+      createdAt: delivery.createdAt,
+      completedAt: delivery.completedAt,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+      payload: JSON.parse(delivery.payload),
+      attemptLog: delivery.attemptLog.map(entry => ({
+        attempt: entry.attempt,
+        statusCode: entry.statusCode,
+        error: entry.error,
+        durationMs: entry.durationMs,
+        timestamp: entry.createdAt
+      }))
+    };
+  }
+
+  // Quiet hours and digest batching
+  const DIGEST_BURST_WINDOW_MS = config.digestBurstWindowMs;
+  const DIGEST_CHECK_INTERVAL_MS = config.digestCheckIntervalMs;
+  let digestCheckRunning = false;
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function isInQuietHours(settings, now = new Date()) {
+    if (!settings.quietHours || settings.quietStart === settings.quietEnd) return false;
+
+    const timezone = isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+    const current = toMinutes(getLocalDateTime(now, timezone).time);
+    const start = toMinutes(settings.quietStart);
+    const end = toMinutes(settings.quietEnd);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    return start < end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  // Next moment the user's quiet hours end (accurate to the minute)
+  function getQuietHoursEnd(settings, now = new Date()) {
+    const timezone = isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+    const current = toMinutes(getLocalDateTime(now, timezone).time);
+    const minutesLeft = (toMinutes(settings.quietEnd) - current + 24 * 60) % (24 * 60) || 24 * 60;
+
+    const end = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+    return end;
+  }
+
+  // Queues a mood update for the recipient's digest when they are in quiet
+  // hours, already have updates waiting, or were pushed to within the burst
+  // window. Returns false when the push should go out right away.
+  async function holdForDigest(userId, settings, item, now = new Date()) {
+    const digest = await storage.digests.findByUser(userId);
+    const quiet = isInQuietHours(settings, now);
+    const pending = digest && digest.items.length > 0;
+    const inBurst = digest && digest.lastSentAt && now - digest.lastSentAt < DIGEST_BURST_WINDOW_MS;
+
+    if (!quiet && !pending && !inBurst) {
+      return false;
+    }
+
+    let releaseAt = null;
+    if (pending) {
+      releaseAt = digest.releaseAt;
+    } else if (inBurst) {
+      releaseAt = new Date(digest.lastSentAt.getTime() + DIGEST_BURST_WINDOW_MS);
+    }
+    if (quiet) {
+      const quietEnd = getQuietHoursEnd(settings, now);
+      releaseAt = releaseAt && releaseAt > quietEnd ? releaseAt : quietEnd;
+    }
+
+    await storage.digests.hold(userId, {
+      mood: item.mood,
+      emoji: item.emoji,
+      label: item.label,
+      message: item.message,
+      timestamp: item.timestamp
+    }, releaseAt);
+
+    return true;
+  }
+
+  async function sendDueDigests(now = new Date()) {
+    if (digestCheckRunning) return;
+    digestCheckRunning = true;
+
+    try {
+      const due = await storage.digests.findDue(now);
+
+      for (const digest of due) {
+        const settingsByUser = await getNotificationSettings([digest.userId]);
+        const settings = settingsByUser[digest.userId];
+
+        // Quiet hours may have been changed since the digest was scheduled
+        if (isInQuietHours(settings, now)) {
+          await storage.digests.reschedule(digest._id, getQuietHoursEnd(settings, now));
+          continue;
+        }
+
+        // Claim the items atomically so an overlapping run can't send them twice
+        const claimed = await storage.digests.claim(digest._id, digest.releaseAt, now);
+
+        if (claimed && claimed.items.length > 0) {
+          await sendDigest(digest.userId, claimed.items);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending notification digests:', error);
+    } finally {
+      digestCheckRunning = false;
+    }
+  }
+
+  async function sendDigest(userId, items) {
+    const subscriptions = await storage.subscriptions.findByUserIds([userId]);
+    if (subscriptions.length === 0) return;
+
+    const latest = items[items.length - 1];
+    const results = await sendNotificationToAll(subscriptions, (t) => ({
+      title: t('push.digest.title', { count: items.length }),
+      body: items.length === 1 ? getMoodMessage(t, latest) : items.map(item => item.emoji).join(' → '),
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: 'mood-update',
+      renotify: true,
+      data: {
+        url: '/',
+        mood: latest.mood,
+        emoji: latest.emoji,
+        timestamp: latest.timestamp,
+        digest: items.length
+      }
+    }), { type: 'mood-update' });
+    console.log(`Mood digest of ${items.length} updates queued for ${results.queued} devices`);
+  }
+
+  function startDigestScheduler() {
+    sendDueDigests();
+    return setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL_MS);
+  }
+
+  // Look up users for a list of ids, keyed by id
+  async function findUsersById(userIds) {
+    const users = await storage.users.findByIds([...new Set(userIds)]);
+
+    return users.reduce((byId, user) => {
+      byId[user._id.toString()] = user;
+      return byId;
+    }, {});
+  }
+
+  // Shape a mood document for API responses and socket events
+  function serializeMood(mood, usersById = {}) {
+    const user = usersById[mood.userId];
+
+    return {
+      id: mood._id.toString(),
+      mood: mood.mood,
+      emoji: mood.emoji,
+      label: mood.label || mood.mood.charAt(0).toUpperCase() + mood.mood.slice(1),
+      timestamp: mood.timestamp,
+      note: mood.note || null,
+      intensity: mood.intensity || null,
+      tags: mood.tags || [],
+      seenBy: (mood.seenBy || []).map(receipt => ({ userId: receipt.userId, seenAt: receipt.seenAt })),
+      userId: mood.userId,
+      username: user ? user.username : mood.userId,
+      displayName: user ? (user.displayName || user.username) : mood.userId
+    };
+  }
+
+  // Serve the frontend
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // Admin dashboard. The page is deliberately public, here and as /admin.html:
+  // it contains no data, and every /api/admin call it makes requires an admin session.
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+  });
+
+  // What the service worker precaches: every file in public/ except the worker
+  // itself and the admin page, plus the Socket.IO client. The version is a hash
+  // of their contents, so any change to them ships a new worker.
+  const PRECACHE_EXCLUDE = ['sw.js', 'admin.html'];
+  const PRECACHE_EXTRA_URLS = ['/socket.io/socket.io.min.js'];
+  let precacheManifest = null;
+
+  function listPublicFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .flatMap(entry => entry.isDirectory()
+        ? listPublicFiles(path.join(dir, entry.name))
+        : [path.join(dir, entry.name)])
+      .sort();
+  }
+
+  function getPrecacheManifest() {
+    if (precacheManifest) return precacheManifest;
+
+    const publicDir = path.join(__dirname, 'public');
+    const hash = crypto.createHash('sha256');
+    const urls = [];
+
+    listPublicFiles(publicDir).forEach(file => {
+      const relative = path.relative(publicDir, file).split(path.sep).join('/');
+      if (PRECACHE_EXCLUDE.includes(relative) || path.basename(file).startsWith('.')) return;
+
+      hash.update(relative).update(fs.readFileSync(file));
+      urls.push(relative === 'index.html' ? '/' : `/${relative}`);
+    });
+
+    precacheManifest = {
+      version: hash.digest('hex').slice(0, 12),
+      urls: [...urls, ...PRECACHE_EXTRA_URLS]
+    };
+    return precacheManifest;
+  }
+
+  // Loaded by sw.js with importScripts; never cached, so updates are noticed
+  app.get('/precache-manifest.js', (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-cache');
+      res.type('application/javascript');
+      res.send(`self.PRECACHE_MANIFEST = ${JSON.stringify(getPrecacheManifest())};\n`);
+    } catch (error) {
+      console.error('Error building precache manifest:', error);
+      res.status(500).type('application/javascript').send('');
+    }
+  });
+
+  // Binds Socket.IO to an HTTP server (not needed when an attached io was passed in)
+  function attach(server) {
+    io.attach(server);
+    return io;
+  }
+
+  // Connects the store, seeds the default moods and starts the background jobs
+  async function start() {
+    await storage.connect();
+    await seedMoodCatalog();
+    timers.push(
+      deliveryQueue.start(),
+      startReminderScheduler(),
+      startDigestScheduler(),
+      webhookQueue.start(),
+      setInterval(() => rateLimiters.forEach(limiter => limiter.sweep()), config.rateLimitWindowMs)
+    );
+  }
+
+  async function stop() {
+    timers.splice(0).forEach(clearInterval);
+    io.disconnectSockets(true);
+    await storage.disconnect();
+  }
+
+  return { app, io, attach, start, stop };
+}
+
+module.exports = { createMoodApp, createWebPushSender, createWebhookSender, DEFAULT_CONFIG };
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Command-line client for the mood app, authenticated with a personal API token
+// (create one under Settings, or with POST /api/tokens).
+//
+//   mood set happy --note "shipped it" --intensity 4 --tag work
+//   mood current
+//   mood history --since 7d
+//
+// MOOD_URL points at the server (http://localhost:3000 by default) and
+// MOOD_TOKEN holds the token; --url and --token override them.
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const USAGE = `Usage: mood <command> [options]
+
+Commands:
+  set <mood>       Share a mood (a catalog key such as happy or tired)
+      --note <text>        Add a note
+      --intensity <1-5>    How strongly you feel it
+      --tag <tag>          Add a tag (repeat for more)
+  current          Show the latest mood in your space
+  history          List recent moods, newest first
+      --since <when>       7d, 12h, 30m, 2w or a date (e.g. 2024-05-01)
+      --mood <keys>        Only these moods (comma-separated)
+      --limit <n>          At most n moods (default 20)
+
+Options:
+  --url <url>      Server address (default: $MOOD_URL or http://localhost:3000)
+  --token <token>  API token (default: $MOOD_TOKEN)
+  --json           Print the raw JSON response
+  -h, --help       Show this help`;
+
+// Flags that take a value; everything else starting with -- is a switch
+const VALUE_FLAGS = ['note', 'intensity', 'tag', 'since', 'mood', 'limit', 'url', 'token'];
+const HISTORY_PAGE_SIZE = 100;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { _: [], tag: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+
+      if (!VALUE_FLAGS.includes(name)) {
+        if (name !== 'json') throw new UsageError(`Unknown option --${name}`);
+        args.json = true;
+        continue;
+      }
+
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+
+      if (name === 'tag') {
+        args.tag.push(value);
+      } else {
+        args[name] = value;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+
+  return args;
+}
+
+// "7d" is seven days before now; anything else is read as a date
+function parseSince(value) {
+  const match = /^(\d+)([mhdw])$/.exec(value);
+  const date = match
+    ? new Date(Date.now() - Number(match[1]) * DURATION_UNITS[match[2]])
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new UsageError(`Can't read --since '${value}' (try 7d, 12h or 2024-05-01)`);
+  }
+  return date;
+}
+
+function request(method, path, { url, token, body, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(path, url);
+    const client = target.protocol === 'https:' ? https : http;
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    const req = client.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`,
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('error', reject);
+      res.on('end', () => {
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (error) {
+          return reject(new Error(`Unexpected response from the server (HTTP ${res.statusCode})`));
+        }
+
+        if (!data.success) {
+          return reject(new Error(data.error || `Request failed (HTTP ${res.statusCode})`));
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('error', error => reject(new Error(`Can't reach ${target.origin}: ${error.message}`)));
+    req.end(payload);
+  });
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// 😊 Happy (4/5) "shipped it" #work - Sam, 3 May 2024, 14:02
+function formatMood(mood) {
+  let line = `${mood.emoji} ${mood.label}`;
+  if (mood.intensity) line += ` (${mood.intensity}/5)`;
+  if (mood.note) line += ` "${mood.note}"`;
+  if (mood.tags && mood.tags.length > 0) line += ' ' + mood.tags.map(tag => `#${tag}`).join(' ');
+  return `${line} - ${mood.displayName}, ${formatTime(mood.timestamp)}`;
+}
+
+async function setMood(args, options) {
+  const [mood] = args._;
+  if (!mood) throw new UsageError('Which mood? e.g. mood set happy');
+
+  const body = { mood };
+  if (args.note !== undefined) body.note = args.note;
+  if (args.intensity !== undefined) body.intensity = Number(args.intensity);
+  if (args.tag.length > 0) body.tags = args.tag;
+
+  // A retried command must not share the mood twice
+  const data = await request('POST', '/api/mood/set', {
+    ...options,
+    body,
+    headers: { 'Idempotency-Key': crypto.randomUUID() }
+  });
+
+  return args.json ? data : `Shared ${formatMood(data.mood)}`;
+}
+
+async function showCurrent(args, options) {
+  const data = await request('GET', '/api/mood/current', options);
+  if (args.json) return data;
+  return data.mood ? formatMood(data.mood) : 'No mood shared yet';
+}
+
+async function showHistory(args, options) {
+  const limit = args.limit !== undefined ? parseInt(args.limit) : 20;
+  if (!Number.isInteger(limit) || limit < 1) throw new UsageError('--limit must be a positive number');
+
+  const query = new URLSearchParams();
+  if (args.since) query.set('from', parseSince(args.since).toISOString());
+  if (args.mood) query.set('mood', args.mood);
+
+  const history = [];
+  let cursor = null;
+
+  do {
+    query.set('limit', String(Math.min(limit - history.length, HISTORY_PAGE_SIZE)));
+    if (cursor) query.set('cursor', cursor);
+
+    const data = await request('GET', `/api/mood/history?${query}`, options);
+    history.push(...data.history);
+    cursor = data.nextCursor;
+  } while (cursor && history.length < limit);
+
+  if (args.json) return { success: true, history };
+  return history.length > 0 ? history.map(formatMood).join('\n') : 'No moods found';
+}
+
+const COMMANDS = { set: setMood, current: showCurrent, history: showHistory };
+
+async function main(argv, env) {
+  const args = parseArgs(argv);
+  const command = args._.shift();
+
+  if (args.help || !command || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command '${command}'`);
+
+  const options = {
+    url: args.url || env.MOOD_URL || 'http://localhost:3000',
+    token: args.token || env.MOOD_TOKEN
+  };
+  if (!options.token) {
+    throw new UsageError('No API token: set MOOD_TOKEN or pass --token (create one in the app under Settings)');
+  }
+
+  const output = await COMMANDS[command](args, options);
+  console.log(typeof output === 'string' ? output : JSON.stringify(output, null, 2));
+}
+
+main(process.argv.slice(2), process.env).catch(error => {
+  console.error(`mood: ${error.message}`);
+  if (error instanceof UsageError) {
+    console.error("Run 'mood --help' for usage.");
+    process.exit(2);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Message catalogs for push notifications. The same files are served to the
+// browser from /locales. Keys are flat; a plural message is an object keyed by
+// Intl.PluralRules category and picked with the count param.
+const CATALOGS = {
+  en: require('./public/locales/en.json'),
+  es: require('./public/locales/es.json'),
+  de: require('./public/locales/de.json'),
+  fr: require('./public/locales/fr.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// A well-formed BCP 47 tag such as 'en', 'pt-BR' or 'zh-Hant-TW'
+function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return false;
+
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The catalog to use for a tag: an exact match, then its language, then English
+function resolveLocale(locale) {
+  if (!isValidLocale(locale)) return DEFAULT_LOCALE;
+
+  const tag = Intl.getCanonicalLocales(locale)[0];
+  if (CATALOGS[tag]) return tag;
+
+  const language = tag.split('-')[0].toLowerCase();
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+// Returns t(key, params) for a locale. {name} placeholders are filled from
+// params; keys missing from the catalog fall back to English.
+function createTranslator(locale) {
+  const resolved = resolveLocale(locale);
+  const messages = CATALOGS[resolved];
+  const pluralRules = new Intl.PluralRules(resolved);
+
+  function t(key, params = {}) {
+    let message = key in messages ? messages[key] : CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+    );
+  }
+
+  t.locale = resolved;
+  return t;
+}
+
+module.exports = { createTranslator, resolveLocale, isValidLocale, DEFAULT_LOCALE };
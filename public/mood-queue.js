@@ -0,0 +1,141 @@
+// Offline mood queue backed by IndexedDB. Loaded by both the page and the
+// service worker, which replays queued moods on the 'mood-sync' tag. The same
+// database keeps snapshots of what the page last showed, for the offline view.
+class MoodQueue {
+    constructor() {
+      this.dbName = 'mood-app';
+      this.dbVersion = 2;
+      this.db = null;
+    }
+
+    open() {
+      if (this.db) {
+        return Promise.resolve(this.db);
+      }
+
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('pending-moods')) {
+            db.createObjectStore('pending-moods', { keyPath: 'clientId' });
+          }
+          if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta');
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots');
+          }
+        };
+
+        request.onsuccess = () => {
+          this.db = request.result;
+          // Let a newer page or worker upgrade the schema
+          this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+          };
+          resolve(this.db);
+        };
+
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    async run(storeName, mode, action) {
+      const db = await this.open();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+
+    add(entry) {
+      return this.run('pending-moods', 'readwrite', store => store.put(entry));
+    }
+
+    async getAll() {
+      const entries = await this.run('pending-moods', 'readonly', store => store.getAll());
+      return entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    remove(clientId) {
+      return this.run('pending-moods', 'readwrite', store => store.delete(clientId));
+    }
+
+    // The service worker has no localStorage, so the session token is mirrored here
+    setAuthToken(token) {
+      return this.run('meta', 'readwrite', store =>
+        token ? store.put(token, 'authToken') : store.delete('authToken'));
+    }
+
+    getAuthToken() {
+      return this.run('meta', 'readonly', store => store.get('authToken'));
+    }
+
+    // Last known data by name ('user', 'current-mood', 'history'), with when it was saved
+    saveSnapshot(name, data) {
+      return this.run('snapshots', 'readwrite', store => store.put({ data, savedAt: new Date().toISOString() }, name));
+    }
+
+    getSnapshot(name) {
+      return this.run('snapshots', 'readonly', store => store.get(name));
+    }
+
+    clearSnapshots() {
+      return this.run('snapshots', 'readwrite', store => store.clear());
+    }
+
+    // Posts every queued mood in capture order. Entries the server accepted or
+    // rejected outright are removed; a network error or 5xx stops the replay
+    // and throws, so Background Sync tries again later.
+    async replay() {
+      const entries = await this.getAll();
+      const token = await this.getAuthToken();
+      let synced = 0;
+
+      if (entries.length === 0 || !token) {
+        return synced;
+      }
+
+      for (const entry of entries) {
+        const response = await fetch('/api/mood/set', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            'Idempotency-Key': entry.clientId
+          },
+          body: JSON.stringify({
+            mood: entry.mood,
+            emoji: entry.emoji,
+            note: entry.note,
+            intensity: entry.intensity,
+            tags: entry.tags,
+            timestamp: entry.timestamp
+          })
+        });
+
+        if (response.status >= 500 || response.status === 401 || response.status === 429) {
+          throw new Error(`Mood sync failed with status ${response.status}`);
+        }
+
+        if (!response.ok) {
+          console.warn('Dropping queued mood rejected by server:', entry.clientId, response.status);
+        } else {
+          synced++;
+        }
+
+        await this.remove(entry.clientId);
+      }
+
+      return synced;
+    }
+  }
+
+  const moodQueue = new MoodQueue();
@@ -37,6 +37,11 @@ class PushNotificationManager {
       }
     }
   
+    getAuthHeaders() {
+      const token = localStorage.getItem('moodAuthToken');
+      return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+  
     async fetchVapidPublicKey() {
       try {
         const response = await fetch('/api/vapid-public-key');
@@ -74,8 +79,10 @@ class PushNotificationManager {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...this.getAuthHeaders()
           },
-          body: JSON.stringify(this.subscription)
+          // The locale picks the language of the pushes sent to this device
+          body: JSON.stringify({ ...this.subscription.toJSON(), locale: navigator.language })
         });
   
         const result = await response.json();
@@ -111,6 +118,7 @@ class PushNotificationManager {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
+              ...this.getAuthHeaders()
             },
             body: JSON.stringify({ endpoint: this.subscription.endpoint })
           });
@@ -129,26 +137,25 @@ class PushNotificationManager {
       }
     }
   
+    // Shows a notification through the service worker, so this device's
+    // display path can be checked without a server round trip. Targeted
+    // test pushes are sent from the admin dashboard.
     async sendTestNotification() {
       try {
-        const response = await fetch('/api/send-test-notification', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          }
-        });
-  
-        const result = await response.json();
-        
-        if (result.success) {
-          console.log('Test notification sent:', result.message);
-          // Show local notification as feedback
-          this.showNotification('Test Sent!', 'Check for the test notification.');
-        } else {
-          console.error('Failed to send test notification:', result.error);
+        if (!this.registration || Notification.permission !== 'granted') {
+          console.warn('Notifications are not enabled on this device');
+          return;
         }
+
+        await this.registration.showNotification('Test Notification', {
+          body: 'Notifications are working on this device!',
+          icon: '/icon-192x192.png',
+          badge: '/badge-72x72.png',
+          tag: 'test',
+          data: { url: '/' }
+        });
       } catch (error) {
-        console.error('Error sending test notification:', error);
+        console.error('Error showing test notification:', error);
       }
     }
   
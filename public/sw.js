@@ -1,101 +1,146 @@
-const CACHE_NAME = 'mood-app-v1';
-const urlsToCache = [
-  '/',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  '/icon-192x192.png',
-  '/icon-512x512.png'
-];
-
-// Install event - cache resources
+importScripts('/mood-queue.js', '/precache-manifest.js');
+
+// The server lists the files in public/ with a hash of their contents (see
+// /precache-manifest.js). A new hash makes this a new worker, which installs
+// alongside the old one and waits until the page asks it to take over.
+const { version: PRECACHE_VERSION, urls: PRECACHE_URLS } = self.PRECACHE_MANIFEST;
+const STATIC_CACHE = `mood-static-${PRECACHE_VERSION}`;
+const API_CACHE = 'mood-api';
+const CURRENT_CACHES = [STATIC_CACHE, API_CACHE];
+
+// How long the network gets before a cached copy is used instead
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Install event - precache the app shell
 self.addEventListener('install', (event) => {
-  console.log('Service Worker installing...');
-  
+  console.log('Service Worker installing version', PRECACHE_VERSION);
+
+  // Requests skip the HTTP cache, so a new version never precaches stale files
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-      .catch((error) => {
-        console.error('Failed to cache resources:', error);
-      })
+    caches.open(STATIC_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
   );
-  
-  // Force the waiting service worker to become the active service worker
-  self.skipWaiting();
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches from older versions
 self.addEventListener('activate', (event) => {
   console.log('Service Worker activating...');
-  
+
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+    caches.keys()
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          .filter(cacheName => !CURRENT_CACHES.includes(cacheName))
+          .map((cacheName) => {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+          })
+      ))
+      .then(() => self.clients.claim())
   );
-  
-  // Ensure the service worker takes control immediately
-  self.clients.claim();
 });
 
-// Fetch event - serve from cache when offline (Cache First strategy)
+// Fetch event - network-first for the API and pages, stale-while-revalidate
+// for everything else
 self.addEventListener('fetch', (event) => {
-  // Skip non-GET requests
-  if (event.request.method !== 'GET') {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Writes, other sites and the Socket.IO transport always go to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
     return;
   }
-
-  // Skip external requests
-  if (!event.request.url.startsWith(self.location.origin)) {
+  if (url.pathname.startsWith('/socket.io/') && !PRECACHE_URLS.includes(url.pathname)) {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        if (response) {
-          return response;
-        }
-        
-        // Clone the request because it's a stream
-        const fetchRequest = event.request.clone();
-        
-        return fetch(fetchRequest).then((response) => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-          
-          // Clone the response because it's a stream
-          const responseToCache = response.clone();
-          
-          caches.open(CACHE_NAME)
-            .then((cache) => {
-              cache.put(event.request, responseToCache);
-            });
-          
-          return response;
-        });
-      })
-      .catch(() => {
-        // Return offline fallback for HTML requests
-        if (event.request.destination === 'document') {
-          return caches.match('/');
-        }
-      })
-  );
+  if (url.pathname.startsWith('/api/')) {
+    event.respondWith(fetchApi(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(fetchPage(request));
+  } else {
+    event.respondWith(fetchStatic(event));
+  }
 });
 
+// Rejects if the promise hasn't settled in time; the promise itself carries on
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+// Network first, falling back to the last response for the same URL. Without
+// one, a JSON 503 in the API's usual shape, flagged as offline.
+async function fetchApi(request) {
+  const cache = await caches.open(API_CACHE);
+  const network = fetch(request).then((response) => {
+    // Downloads (exports) are not worth keeping
+    const type = response.headers.get('Content-Type') || '';
+    if (response.ok && type.includes('application/json') && !response.headers.has('Content-Disposition')) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      return await network;
+    } catch (networkError) {
+      return new Response(JSON.stringify({ success: false, offline: true, error: "You're offline" }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+}
+
+// Pages come from the network when it answers in time, so a deploy shows up
+// on the next load; offline, the precached app shell stands in
+async function fetchPage(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const network = fetch(request).then((response) => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true }) || await cache.match('/');
+    return cached || network;
+  }
+}
+
+// Answers from the cache straight away and refreshes it in the background
+async function fetchStatic(event) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok && response.type === 'basic') {
+      cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
 // Push event - handle incoming push notifications
 self.addEventListener('push', (event) => {
   console.log('Push notification received:', event);
@@ -129,19 +174,12 @@ self.addEventListener('push', (event) => {
       icon: notificationData.icon,
       badge: notificationData.badge,
       tag: notificationData.tag,
+      renotify: Boolean(notificationData.renotify && notificationData.tag),
       data: notificationData.data,
-      actions: [
-        {
-          action: 'view',
-          title: 'View App'
-        },
-        {
-          action: 'close',
-          title: 'Dismiss'
-        }
-      ],
+      // The server picks the buttons for each type of notification
+      actions: notificationData.actions || [],
       requireInteraction: false,
-      silent: false,
+      silent: notificationData.silent || false,
       vibrate: [200, 100, 200],
       timestamp: Date.now()
     })
@@ -163,32 +201,207 @@ self.addEventListener('notificationclick', (event) => {
     return;
   }
 
-  // Handle the click action
+  // Actions like sending a hug run here, without opening the app
+  if (NOTIFICATION_ACTION_HANDLERS[action]) {
+    event.waitUntil(runNotificationAction(notification, action, event.reply));
+    return;
+  }
+
   event.waitUntil(
-    clients.matchAll({ 
-      type: 'window',
-      includeUncontrolled: true 
-    }).then((clientList) => {
-      const url = data.url || '/';
-      const targetUrl = new URL(url, self.location.origin).href;
-      
-      // Check if there's already a window/tab open with the target URL
-      for (let client of clientList) {
-        if (client.url === targetUrl && 'focus' in client) {
-          return client.focus();
-        }
-      }
-      
-      // If no existing window/tab, open a new one
-      if (clients.openWindow) {
-        return clients.openWindow(url);
-      }
-    }).catch((error) => {
+    openApp(data.url || '/').catch((error) => {
       console.error('Error handling notification click:', error);
     })
   );
 });
 
+// Focuses a window already showing url, or opens one
+async function openApp(url) {
+  const clientList = await clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+  const targetUrl = new URL(url, self.location.origin).href;
+
+  // Check if there's already a window/tab open with the target URL
+  for (let client of clientList) {
+    if (client.url === targetUrl && 'focus' in client) {
+      return client.focus();
+    }
+  }
+
+  // If no existing window/tab, open a new one
+  if (clients.openWindow) {
+    return clients.openWindow(url);
+  }
+}
+
+// A failure worth its own message (a key of data.actionMessages)
+class NotificationActionError extends Error {
+  constructor(messageKey, params = {}) {
+    super(messageKey);
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+// Each handler gets the notification's data and the typed reply (if any) and
+// resolves to the confirmation message to show; null opens the app instead
+const NOTIFICATION_ACTION_HANDLERS = {
+  'hug': async (data) => {
+    await callApi('POST', `/api/mood/${encodeURIComponent(data.moodId)}/reactions`, { reaction: 'hug' });
+    return fillMessage(data.actionMessages.hug);
+  },
+
+  // The reply starts with a mood (its key, name or emoji); the rest becomes the note
+  'share-mood': async (data, reply) => {
+    if (!reply || !reply.trim()) {
+      return null;
+    }
+
+    const { entry, note } = await matchMoodReply(reply.trim(), data.locale);
+    const mood = {
+      clientId: crypto.randomUUID(),
+      mood: entry.key,
+      emoji: entry.emoji,
+      note: note || undefined,
+      timestamp: new Date().toISOString()
+    };
+    const params = { emoji: entry.emoji, label: entry.name };
+
+    try {
+      await callApi('POST', '/api/mood/set', mood, { 'Idempotency-Key': mood.clientId });
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+
+      // Offline: queue it like the page does, for Background Sync to send
+      await moodQueue.add(mood);
+      if (self.registration.sync) {
+        await self.registration.sync.register('mood-sync');
+      }
+      return fillMessage(data.actionMessages.queued, params);
+    }
+
+    return fillMessage(data.actionMessages['share-mood'], params);
+  }
+};
+
+// Runs an action and replaces the notification with how it went. Tapping
+// that one (or a failure) opens the app.
+async function runNotificationAction(notification, action, reply) {
+  const data = notification.data || {};
+  const messages = data.actionMessages || {};
+  let body;
+
+  try {
+    body = await NOTIFICATION_ACTION_HANDLERS[action](data, reply);
+  } catch (error) {
+    console.error(`Error running notification action '${action}':`, error);
+    body = error instanceof NotificationActionError && messages[error.messageKey]
+      ? fillMessage(messages[error.messageKey], error.params)
+      : messages.failed;
+  }
+
+  if (!body) {
+    return openApp(data.url || '/');
+  }
+
+  return self.registration.showNotification(notification.title, {
+    body,
+    icon: notification.icon,
+    badge: notification.badge,
+    tag: notification.tag,
+    silent: true,
+    data: { url: data.url || '/' }
+  });
+}
+
+// Calls the API as the logged-in user (the page mirrors the session token into IndexedDB)
+async function callApi(method, path, body, headers = {}) {
+  const token = await moodQueue.getAuthToken();
+  if (!token) {
+    throw new NotificationActionError('signedOut');
+  }
+
+  const response = await fetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (response.status === 401) {
+    throw new NotificationActionError('signedOut');
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Request failed with status ${response.status}`);
+  }
+  return result;
+}
+
+// Finds the catalog mood a reply starts with, matching its key, label,
+// emoji or default label in the recipient's language. Falls back to
+// the cached catalog when offline.
+async function matchMoodReply(reply, locale) {
+  let catalog;
+  try {
+    catalog = (await callApi('GET', '/api/moods/catalog')).catalog;
+  } catch (error) {
+    if (!(error instanceof TypeError)) throw error;
+
+    // The page fetches it with ?includeRetired=true, so skip the retired ones
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match('/api/moods/catalog', { ignoreSearch: true, ignoreVary: true });
+    if (!cached) throw error;
+    catalog = (await cached.json()).catalog.filter(entry => !entry.retired);
+  }
+
+  const translations = await loadCatalogTranslations(locale);
+  const lowerReply = reply.toLocaleLowerCase();
+
+  for (const entry of catalog) {
+    // A space's own wording wins over the translation
+    const translated = entry.custom ? null : translations[`mood.${entry.key}.label`];
+    const names = [entry.key, entry.label, entry.emoji, translated].filter(Boolean);
+
+    for (const name of names) {
+      const lowerName = name.toLocaleLowerCase();
+      if (lowerReply === lowerName || lowerReply.startsWith(`${lowerName} `)) {
+        return {
+          entry: { ...entry, name: translated || entry.label },
+          note: reply.slice(name.length).trim()
+        };
+      }
+    }
+  }
+
+  throw new NotificationActionError('unknownMood', { mood: reply.split(/\s+/)[0] });
+}
+
+// The precached message catalog for a locale, or {} if it isn't available
+async function loadCatalogTranslations(locale) {
+  if (!locale) return {};
+
+  try {
+    const url = `/locales/${locale}.json`;
+    const response = (await caches.match(url)) || (await fetch(url));
+    return response.ok ? await response.json() : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Fills {name} placeholders in a message from the server
+function fillMessage(message, params = {}) {
+  return (message || '').replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
 // Notification close event - handle when user dismisses notification
 self.addEventListener('notificationclose', (event) => {
   console.log('Notification closed:', event.notification.tag);
@@ -203,13 +416,22 @@ self.addEventListener('sync', (event) => {
   }
 });
 
-// Sync mood data function
+// Sync mood data function - replays moods queued while offline
 async function syncMoodData() {
   try {
     console.log('Syncing mood data in background...');
-    // Add your sync logic here
+    const synced = await moodQueue.replay();
+
+    if (synced > 0) {
+      const clientList = await self.clients.matchAll({ type: 'window' });
+      clientList.forEach((client) => {
+        client.postMessage({ type: 'MOOD_SYNCED', count: synced });
+      });
+    }
   } catch (error) {
     console.error('Error syncing mood data:', error);
+    // Rethrow so the browser retries the sync later
+    throw error;
   }
 }
 
@@ -217,9 +439,15 @@ async function syncMoodData() {
 self.addEventListener('message', (event) => {
   console.log('Service Worker received message:', event.data);
   
+  // The page asks a waiting update to take over once the user agrees to reload
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  // Cached API responses belong to whoever was logged in
+  if (event.data && event.data.type === 'CLEAR_USER_DATA') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
   
   // Send response back to main thread if ports are available
   if (event.ports && event.ports[0]) {
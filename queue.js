@@ -0,0 +1,87 @@
+// Worker loop shared by createMoodApp's job queues (push deliveries and
+// webhook deliveries). A queue's repository provides claimNext(now),
+// releaseStale(lockedBefore) and update(id, fields); jobs go from 'pending'
+// to 'sending' when claimed, and the handler settles or reschedules them.
+const BASE_BACKOFF_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Exponential backoff with jitter: 5s, 10s, 20s... capped at 30 minutes
+function getBackoffMs(attempts) {
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function getRetryAfterMs({ headers }) {
+  const header = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (!header) return 0;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = new Date(header);
+  return isNaN(date.getTime()) ? 0 : Math.max(date.getTime() - Date.now(), 0);
+}
+
+// Runs up to `concurrency` jobs from `jobs` at once through handle(job).
+// pump() starts due jobs now; start() also polls every pollIntervalMs for
+// retries that became due and jobs left 'sending' for lockTimeoutMs by a
+// crash, and returns the timer. `name` labels the logs.
+function createJobQueue({ name, jobs, concurrency, pollIntervalMs, lockTimeoutMs, handle }) {
+  let active = 0;
+
+  // Starts jobs until the concurrency limit is reached or nothing is due
+  async function pump() {
+    while (active < concurrency) {
+      active++;
+
+      let job;
+      try {
+        job = await jobs.claimNext(new Date());
+      } catch (error) {
+        console.error(`Error claiming ${name}:`, error);
+      }
+
+      if (!job) {
+        active--;
+        return;
+      }
+
+      run(job).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  async function run(job) {
+    try {
+      await handle(job);
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+      // Put the job back so the stale-lock sweep doesn't have to wait for it
+      await jobs.update(
+        job._id,
+        { status: 'pending', lockedAt: null, nextAttemptAt: new Date(Date.now() + getBackoffMs(job.attempts)) }
+      ).catch(() => {});
+    }
+  }
+
+  async function poll() {
+    try {
+      await jobs.releaseStale(new Date(Date.now() - lockTimeoutMs));
+    } catch (error) {
+      console.error(`Error recovering ${name} jobs:`, error);
+    }
+    pump();
+  }
+
+  function start() {
+    poll();
+    return setInterval(poll, pollIntervalMs);
+  }
+
+  return { pump, start };
+}
+
+module.exports = { createJobQueue, getBackoffMs, getRetryAfterMs, MAX_BACKOFF_MS };
@@ -0,0 +1,150 @@
+// Rate limiting, origin checks, security headers and outbound address checks
+// for createMoodApp
+const dns = require('dns');
+const net = require('net');
+
+// Fixed-window rate limiter kept in memory. key(req) picks the bucket (the
+// client IP by default; return null to skip limiting for a request). Over the
+// limit, requests get a 429 with Retry-After until the window resets.
+function createRateLimiter({ windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+  const hits = new Map();
+
+  function limiter(req, res, next) {
+    const bucket = key(req);
+    if (bucket === null || bucket === undefined) return next();
+
+    const now = Date.now();
+    let entry = hits.get(bucket);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(bucket, entry);
+    }
+    entry.count++;
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(max - entry.count, 0));
+    res.setHeader('RateLimit-Reset', Math.ceil((entry.resetAt - now) / 1000));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({ success: false, error: message });
+    }
+    next();
+  }
+
+  // Drops expired windows so idle clients don't accumulate
+  limiter.sweep = (now = Date.now()) => {
+    for (const [bucket, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(bucket);
+    }
+  };
+
+  return limiter;
+}
+
+// Whether a request's Origin header may use the API. Requests without one
+// (same-origin navigation, curl, native clients) and same-origin requests are
+// always allowed; other sites must be in allowedOrigins ('*' allows any).
+function createOriginCheck(allowedOrigins) {
+  const allowed = new Set(allowedOrigins.map(origin => origin.replace(/\/$/, '').toLowerCase()));
+
+  return function isAllowedOrigin(origin, host) {
+    if (!origin) return true;
+    if (allowed.has('*')) return true;
+
+    const normalized = origin.toLowerCase();
+    if (allowed.has(normalized)) return true;
+
+    try {
+      return Boolean(host) && new URL(normalized).host === host.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  };
+}
+
+// Addresses outbound requests (webhooks) must not reach: this host, private
+// and carrier-grade NAT ranges, link-local (cloud metadata services), unique
+// local IPv6, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  // IPv4 mapped into IPv6 (::ffff:127.0.0.1) is judged as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolves a URL's hostname and rejects unless every address is public.
+// DNS failures reject with the resolver's error.
+async function resolvePublicHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new Error(`${hostname} is a private address (${blocked.address})`);
+  }
+  return addresses;
+}
+
+// dns.lookup for http.request's lookup option that refuses private addresses,
+// so a hostname that changes what it resolves to after registration is still
+// caught when connecting
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} is a private address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// The pages still use inline scripts and handlers
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+function securityHeaders(req, res, next) {
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+  if (req.secure) {
+    res.setHeader('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  }
+  next();
+}
+
+module.exports = {
+  createRateLimiter,
+  createOriginCheck,
+  securityHeaders,
+  isPrivateAddress,
+  resolvePublicHost,
+  lookupPublicAddress
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+// Every adapter exposes the same repositories:
+//
+//   users, sessions, apiTokens, spaces, catalog, reactions, notifications, settings,
+//   subscriptions, moods, digests, deliveries, events, webhooks, webhookDeliveries
+//
+// plus connect() and disconnect(). Methods return Mongoose documents (hydrated ones for the
+// embedded adapter), so callers can use _id, toObject() and schema defaults
+// whatever the backend.
+//
+// Mood queries are plain objects, not MongoDB filters. Every field is optional:
+//   id, userId, spaceId  exact match (spaceId null means "not in a space")
+//   clientId             the idempotency key the mood was shared with
+//   moods                list of catalog keys
+//   from, to             inclusive timestamp range
+//   timestamps           list of exact timestamps
+//   before               { timestamp, id } - only moods older than this one
+//
+// STORAGE picks the adapter: 'mongodb' (default, MONGODB_URI) or 'memory'.
+// Set STORAGE_FILE with 'memory' to keep the data in a JSON file between runs.
+function createStorage(env = process.env) {
+  const driver = env.STORAGE || 'mongodb';
+
+  if (driver === 'memory') {
+    return createMemoryStorage({ file: env.STORAGE_FILE });
+  }
+
+  if (driver === 'mongodb') {
+    return createMongoStorage({ uri: env.MONGODB_URI || 'mongodb://localhost:27017/mood-app' });
+  }
+
+  throw new Error(`Unknown STORAGE '${driver}' (expected 'mongodb' or 'memory')`);
+}
+
+// Ids are MongoDB ObjectIds in every adapter
+function isValidId(id) {
+  return mongoose.isValidObjectId(id);
+}
+
+module.exports = { createStorage, isValidId };
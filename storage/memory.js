@@ -0,0 +1,672 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  Mood,
+  MoodCatalog,
+  Reaction,
+  PushSubscription,
+  User,
+  Session,
+  ApiToken,
+  Space,
+  Notification,
+  NotificationSettings,
+  PushDigest,
+  DeliveryJob,
+  DeliveryLog,
+  SocketEvent,
+  Webhook,
+  WebhookDelivery
+} = require('./models');
+
+const PERSIST_DELAY_MS = 200;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Mirrors the TTL indexes declared in the schemas
+const COMPLETED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DELIVERY_LOG_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SOCKET_EVENT_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+const WEBHOOK_DELIVERY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Deep copy of a stored row, so callers can't change the store through it
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function duplicateKeyError(collection) {
+  return Object.assign(new Error(`Duplicate key in ${collection}`), { code: 11000 });
+}
+
+// Rows of one model, kept as plain objects. Inserts and updates go through the
+// Mongoose schema, so defaults, casting and validation match the MongoDB adapter.
+class Collection {
+  constructor(Model, { unique = [], onChange }) {
+    this.Model = Model;
+    this.unique = unique;
+    this.onChange = onChange;
+    this.rows = new Map();
+  }
+
+  build(fields) {
+    const doc = new this.Model(fields);
+    const error = doc.validateSync();
+    if (error) throw error;
+    return doc.toObject();
+  }
+
+  checkUnique(row) {
+    for (const keyOf of this.unique) {
+      const key = keyOf(row);
+      if (key === null) continue;
+
+      const clash = this.find(other => !other._id.equals(row._id) && keyOf(other) === key);
+      if (clash) throw duplicateKeyError(this.Model.modelName);
+    }
+  }
+
+  insert(fields) {
+    const row = this.build(fields);
+    this.checkUnique(row);
+    this.rows.set(row._id.toString(), row);
+    this.onChange();
+    return this.hydrate(row);
+  }
+
+  update(row, fields) {
+    const updated = this.build({ ...row, ...fields });
+    this.checkUnique(updated);
+    this.rows.set(updated._id.toString(), updated);
+    this.onChange();
+    return this.hydrate(updated);
+  }
+
+  remove(row) {
+    this.rows.delete(row._id.toString());
+    this.onChange();
+    return this.hydrate(row);
+  }
+
+  get(id) {
+    return this.rows.get(String(id)) || null;
+  }
+
+  find(predicate) {
+    for (const row of this.rows.values()) {
+      if (predicate(row)) return row;
+    }
+    return null;
+  }
+
+  filter(predicate = () => true) {
+    return Array.from(this.rows.values()).filter(predicate);
+  }
+
+  hydrate(row) {
+    return row ? this.Model.hydrate(clone(row)) : null;
+  }
+
+  load(rows) {
+    rows.forEach(fields => {
+      const row = new this.Model(fields).toObject();
+      this.rows.set(row._id.toString(), row);
+    });
+  }
+}
+
+// claimNext and releaseStale for a job queue collection (see queue.js)
+function queueMethods(collection) {
+  return {
+    claimNext: async (now) => {
+      const [job] = collection
+        .filter(row => row.status === 'pending' && row.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      return job ? collection.update(job, { status: 'sending', lockedAt: now, attempts: job.attempts + 1 }) : null;
+    },
+    releaseStale: async (lockedBefore) => {
+      collection.filter(job => job.status === 'sending' && job.lockedAt < lockedBefore).forEach(job =>
+        collection.update(job, { status: 'pending', lockedAt: null })
+      );
+    }
+  };
+}
+
+// Newest first, with the id as a tiebreaker like the MongoDB history query
+function compareNewestFirst(a, b) {
+  return b.timestamp - a.timestamp || b._id.toString().localeCompare(a._id.toString());
+}
+
+// Oldest first by id
+function compareIds(a, b) {
+  return a._id.toString().localeCompare(b._id.toString());
+}
+
+function matchesMood(mood, query) {
+  const time = mood.timestamp.getTime();
+
+  if (query.id !== undefined && mood._id.toString() !== String(query.id)) return false;
+  if (query.userId !== undefined && mood.userId !== query.userId) return false;
+  if (query.clientId !== undefined && mood.clientId !== query.clientId) return false;
+  if (query.spaceId !== undefined && (mood.spaceId || null) !== query.spaceId) return false;
+  if (query.moods && !query.moods.includes(mood.mood)) return false;
+  if (query.timestamps && !query.timestamps.some(timestamp => timestamp.getTime() === time)) return false;
+  if (query.from && time < query.from.getTime()) return false;
+  if (query.to && time > query.to.getTime()) return false;
+
+  if (query.before) {
+    const before = query.before.timestamp.getTime();
+    if (time > before || (time === before && mood._id.toString() >= String(query.before.id))) return false;
+  }
+
+  return true;
+}
+
+// Local calendar fields of a moment in a time zone, as used for stats buckets
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((byType, part) => {
+    byType[part.type] = part.value;
+    return byType;
+  }, {});
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  const day = new Date(`${localDate}T00:00:00Z`);
+  const dayOfWeek = day.getUTCDay();
+
+  // ISO week: the week belongs to the year of its Thursday
+  const thursday = new Date(day);
+  thursday.setUTCDate(day.getUTCDate() + 3 - ((dayOfWeek + 6) % 7));
+  const weekYear = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+
+  return {
+    date: localDate,
+    hour: parseInt(parts.hour),
+    dayOfWeek,
+    week: `${weekYear}-W${String(week).padStart(2, '0')}`
+  };
+}
+
+// Counts rows per key; the emoji comes from the first (newest) row of each group
+function countBy(moods, keyOf) {
+  const groups = new Map();
+
+  moods.forEach(mood => {
+    const key = keyOf(mood);
+    const group = groups.get(key) || { key, count: 0, emoji: mood.emoji, mood: mood.mood };
+    group.count++;
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values());
+}
+
+// Everything in process memory; with a file, it is loaded on connect and
+// written back shortly after each change
+function createMemoryStorage({ file } = {}) {
+  let persistTimer = null;
+  let sweepTimer = null;
+
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+
+    const data = {};
+    for (const [name, collection] of Object.entries(collections)) {
+      data[name] = collection.filter();
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  const onChange = () => {
+    if (file && !persistTimer) {
+      persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    }
+  };
+
+  const collections = {
+    moods: new Collection(Mood, {
+      onChange,
+      unique: [mood => mood.clientId ? `${mood.userId}|${mood.clientId}` : null]
+    }),
+    catalog: new Collection(MoodCatalog, { onChange, unique: [entry => `${entry.spaceId}|${entry.key}`] }),
+    reactions: new Collection(Reaction, { onChange }),
+    subscriptions: new Collection(PushSubscription, { onChange, unique: [subscription => subscription.endpoint] }),
+    users: new Collection(User, { onChange, unique: [user => user.username] }),
+    sessions: new Collection(Session, { onChange, unique: [session => session.tokenHash] }),
+    apiTokens: new Collection(ApiToken, { onChange, unique: [token => token.tokenHash] }),
+    spaces: new Collection(Space, { onChange, unique: [space => space.inviteCode] }),
+    notifications: new Collection(Notification, { onChange }),
+    settings: new Collection(NotificationSettings, { onChange, unique: [settings => settings.userId] }),
+    digests: new Collection(PushDigest, { onChange, unique: [digest => digest.userId] }),
+    deliveryJobs: new Collection(DeliveryJob, { onChange }),
+    deliveryLogs: new Collection(DeliveryLog, { onChange }),
+    events: new Collection(SocketEvent, { onChange }),
+    webhooks: new Collection(Webhook, { onChange }),
+    webhookDeliveries: new Collection(WebhookDelivery, { onChange })
+  };
+
+  const { moods, catalog, reactions, subscriptions, users, sessions, apiTokens, spaces, notifications,
+    settings, digests, deliveryJobs, deliveryLogs, events, webhooks, webhookDeliveries } = collections;
+
+  // Stands in for the TTL indexes MongoDB would apply
+  const sweep = () => {
+    const now = Date.now();
+    sessions.filter(session => session.expiresAt <= now).forEach(session => sessions.remove(session));
+    apiTokens.filter(token => token.expiresAt && token.expiresAt <= now).forEach(token => apiTokens.remove(token));
+    deliveryJobs.filter(job => job.completedAt && now - job.completedAt > COMPLETED_JOB_TTL_MS)
+      .forEach(job => deliveryJobs.remove(job));
+    deliveryLogs.filter(entry => now - entry.createdAt > DELIVERY_LOG_TTL_MS)
+      .forEach(entry => deliveryLogs.remove(entry));
+    events.filter(event => now - event.createdAt > SOCKET_EVENT_TTL_MS)
+      .forEach(event => events.remove(event));
+    webhookDeliveries.filter(delivery => now - delivery.createdAt > WEBHOOK_DELIVERY_TTL_MS)
+      .forEach(delivery => webhookDeliveries.remove(delivery));
+  };
+
+  const hydrateAll = (collection, rows) => rows.map(row => collection.hydrate(row));
+
+  return {
+    connect: async () => {
+      if (file && fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [name, rows] of Object.entries(data)) {
+          if (collections[name]) collections[name].load(rows);
+        }
+      }
+
+      if (file) {
+        process.once('exit', () => persistTimer && persist());
+      }
+      sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+
+      console.log(file ? `Using file storage at ${file}` : 'Using in-memory storage (data is lost on restart)');
+    },
+    // Writes out any pending changes; the data stays in memory
+    disconnect: async () => {
+      clearInterval(sweepTimer);
+      if (persistTimer) persist();
+    },
+
+    users: {
+      findById: async (id) => users.hydrate(users.get(id)),
+      findByIds: async (ids) => hydrateAll(users, ids.map(id => users.get(id)).filter(Boolean)),
+      findByUsername: async (username) => users.hydrate(users.find(user => user.username === username)),
+      create: async (fields) => users.insert(fields),
+      setLastSeen: async (id, at) => {
+        const user = users.get(id);
+        if (user) users.update(user, { lastSeenAt: at });
+      }
+    },
+
+    sessions: {
+      create: async (fields) => sessions.insert(fields),
+      findActive: async (tokenHash) => sessions.hydrate(
+        sessions.find(session => session.tokenHash === tokenHash && session.expiresAt > new Date())
+      ),
+      deleteByTokenHash: async (tokenHash) => {
+        const session = sessions.find(row => row.tokenHash === tokenHash);
+        if (session) sessions.remove(session);
+      }
+    },
+
+    apiTokens: {
+      create: async (fields) => apiTokens.insert(fields),
+      findActive: async (tokenHash) => apiTokens.hydrate(apiTokens.find(token =>
+        token.tokenHash === tokenHash && (!token.expiresAt || token.expiresAt > new Date())
+      )),
+      findByUser: async (userId) => hydrateAll(apiTokens, apiTokens
+        .filter(token => token.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)),
+      countByUser: async (userId) => apiTokens.filter(token => token.userId === userId).length,
+      touch: async (id, at) => {
+        const token = apiTokens.get(id);
+        if (token) apiTokens.update(token, { lastUsedAt: at });
+      },
+      deleteOwn: async (id, userId) => {
+        const token = apiTokens.get(id);
+        return token && token.userId === userId ? apiTokens.remove(token) : null;
+      }
+    },
+
+    spaces: {
+      findById: async (id) => spaces.hydrate(spaces.get(id)),
+      findByMember: async (userId) => spaces.hydrate(spaces.find(space => space.members.includes(userId))),
+      findByInviteCode: async (inviteCode) => spaces.hydrate(spaces.find(space => space.inviteCode === inviteCode)),
+      create: async (fields) => spaces.insert(fields),
+      update: async (id, fields) => {
+        const space = spaces.get(id);
+        return space ? spaces.update(space, fields) : null;
+      },
+      delete: async (id) => {
+        const space = spaces.get(id);
+        if (space) spaces.remove(space);
+      }
+    },
+
+    catalog: {
+      seedDefaults: async (entries) => {
+        entries.forEach(entry => {
+          if (!catalog.find(row => row.spaceId === null && row.key === entry.key)) {
+            catalog.insert(entry);
+          }
+        });
+      },
+      findForSpace: async (spaceId) => hydrateAll(catalog, catalog.filter(entry =>
+        entry.spaceId === null || (spaceId && entry.spaceId === spaceId)
+      )),
+      findOne: async (spaceId, key) => catalog.hydrate(
+        catalog.find(entry => (entry.spaceId || null) === spaceId && entry.key === key)
+      ),
+      create: async (fields) => catalog.insert(fields),
+      update: async (id, fields) => {
+        const entry = catalog.get(id);
+        return entry ? catalog.update(entry, fields) : null;
+      }
+    },
+
+    reactions: {
+      create: async (fields) => reactions.insert(fields),
+      findByMoodIds: async (moodIds) => hydrateAll(reactions, reactions
+        .filter(reaction => moodIds.includes(reaction.moodId))
+        .sort((a, b) => a.createdAt - b.createdAt)),
+      deleteOwn: async (id, { moodId, userId }) => {
+        const reaction = reactions.get(id);
+        if (!reaction || reaction.moodId !== moodId || reaction.userId !== userId) return null;
+        return reactions.remove(reaction);
+      }
+    },
+
+    notifications: {
+      list: async (userId, { skip, limit }) => hydrateAll(notifications, notifications
+        .filter(notification => notification.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(skip, skip + limit)),
+      count: async (userId, { unread = false } = {}) => notifications
+        .filter(notification => notification.userId === userId && (!unread || !notification.read))
+        .length,
+      markAllRead: async (userId) => {
+        const unread = notifications.filter(notification => notification.userId === userId && !notification.read);
+        unread.forEach(notification => notifications.update(notification, { read: true }));
+        return unread.length;
+      },
+      markRead: async (userId, id) => {
+        const notification = notifications.get(id);
+        if (!notification || notification.userId !== userId) return null;
+        return notifications.update(notification, { read: true });
+      },
+      createMany: async (rows) => rows.map(row => notifications.insert(row))
+    },
+
+    settings: {
+      getForUsers: async (userIds) => {
+        const byUser = {};
+        userIds.forEach(userId => {
+          const saved = settings.find(row => row.userId === userId);
+          byUser[userId] = saved ? settings.hydrate(saved) : new NotificationSettings({ userId });
+        });
+        return byUser;
+      },
+      update: async (userId, fields) => {
+        const saved = settings.find(row => row.userId === userId);
+        return saved ? settings.update(saved, fields) : settings.insert({ ...fields, userId });
+      },
+      findWithDailyReminders: async () => hydrateAll(settings, settings.filter(row => row.dailyReminders))
+    },
+
+    subscriptions: {
+      save: async ({ endpoint, keys, userId, locale }) => {
+        const existing = subscriptions.find(subscription => subscription.endpoint === endpoint);
+        return existing
+          ? subscriptions.update(existing, { keys, userId, locale })
+          : subscriptions.insert({ endpoint, keys, userId, locale });
+      },
+      remove: async (endpoint, userId) => {
+        const subscription = subscriptions.find(row => row.endpoint === endpoint && row.userId === userId);
+        if (subscription) subscriptions.remove(subscription);
+      },
+      find: async ({ userId } = {}, { limit } = {}) => {
+        const rows = subscriptions
+          .filter(subscription => !userId || subscription.userId === userId)
+          .sort((a, b) => b.createdAt - a.createdAt);
+        return hydrateAll(subscriptions, limit ? rows.slice(0, limit) : rows);
+      },
+      findById: async (id) => subscriptions.hydrate(subscriptions.get(id)),
+      findByEndpoint: async (endpoint) => subscriptions.hydrate(
+        subscriptions.find(subscription => subscription.endpoint === endpoint)
+      ),
+      findByUserIds: async (userIds) => hydrateAll(subscriptions,
+        subscriptions.filter(subscription => userIds.includes(subscription.userId))),
+      deleteById: async (id) => {
+        const subscription = subscriptions.get(id);
+        return subscription ? subscriptions.remove(subscription) : null;
+      },
+      recordSuccess: async (id) => {
+        const subscription = subscriptions.get(id);
+        if (subscription) subscriptions.update(subscription, { lastSuccessAt: new Date(), failureCount: 0 });
+      },
+      recordFailure: async (id) => {
+        const subscription = subscriptions.get(id);
+        if (subscription) subscriptions.update(subscription, { failureCount: subscription.failureCount + 1 });
+      }
+    },
+
+    moods: {
+      findLatest: async (query) => moods.hydrate(
+        moods.filter(mood => matchesMood(mood, query)).sort(compareNewestFirst)[0]
+      ),
+      findOne: async (query) => moods.hydrate(moods.find(mood => matchesMood(mood, query))),
+      find: async (query, { limit } = {}) => {
+        const rows = moods.filter(mood => matchesMood(mood, query)).sort(compareNewestFirst);
+        return hydrateAll(moods, limit ? rows.slice(0, limit) : rows);
+      },
+      stream: async function* (query) {
+        const rows = moods.filter(mood => matchesMood(mood, query)).sort((a, b) => a.timestamp - b.timestamp);
+        for (const row of rows) {
+          yield moods.hydrate(row);
+        }
+      },
+      create: async (fields) => moods.insert(fields),
+      insertMany: async (rows) => rows.map(row => moods.insert(row)),
+      markSeen: async (id, userId, at) => {
+        const mood = moods.get(id);
+        if (!mood || (mood.seenBy || []).some(receipt => receipt.userId === userId)) return null;
+        return moods.update(mood, { seenBy: [...(mood.seenBy || []), { userId, seenAt: at }] });
+      },
+
+      getStats: async (query, from, to, timezone) => {
+        const rows = moods.filter(mood => matchesMood(mood, { ...query, from, to })).sort(compareNewestFirst);
+        const zoned = new Map(rows.map(mood => [mood, getZonedParts(mood.timestamp, timezone)]));
+
+        const moodCounts = countBy(rows, mood => mood.mood)
+          .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+          .map(group => ({ mood: group.key, emoji: group.emoji, count: group.count }));
+
+        const perDay = countBy(rows, mood => zoned.get(mood).date)
+          .sort((a, b) => a.key.localeCompare(b.key))
+          .map(group => ({ date: group.key, count: group.count }));
+
+        const heatmap = countBy(rows, mood => `${zoned.get(mood).dayOfWeek}|${zoned.get(mood).hour}`)
+          .map(group => {
+            const [dayOfWeek, hour] = group.key.split('|').map(Number);
+            return { dayOfWeek, hour, count: group.count };
+          });
+
+        const topByWeek = new Map();
+        countBy(rows, mood => `${zoned.get(mood).week}|${mood.mood}`)
+          .sort((a, b) => b.count - a.count || a.mood.localeCompare(b.mood))
+          .forEach(group => {
+            const week = group.key.split('|')[0];
+            if (!topByWeek.has(week)) {
+              topByWeek.set(week, { week, mood: group.mood, emoji: group.emoji, count: group.count });
+            }
+          });
+        const weeklyTopMood = Array.from(topByWeek.values()).sort((a, b) => a.week.localeCompare(b.week));
+
+        return { moodCounts, perDay, heatmap, weeklyTopMood };
+      },
+
+      getCheckInDays: async (query, since, timezone) => {
+        const days = new Set(moods
+          .filter(mood => matchesMood(mood, { ...query, from: since }))
+          .map(mood => getZonedParts(mood.timestamp, timezone).date));
+        return Array.from(days);
+      },
+
+      countByDay: async (since) => {
+        const byDay = new Map();
+        moods.filter(mood => mood.timestamp >= since).forEach(mood => {
+          const date = mood.timestamp.toISOString().slice(0, 10);
+          const day = byDay.get(date) || { date, count: 0, users: new Set() };
+          day.count++;
+          day.users.add(mood.userId);
+          byDay.set(date, day);
+        });
+
+        return Array.from(byDay.values())
+          .sort((a, b) => a.date.localeCompare(b.date))
+          .map(day => ({ date: day.date, count: day.count, activeUsers: day.users.size }));
+      }
+    },
+
+    digests: {
+      findByUser: async (userId) => digests.hydrate(digests.find(digest => digest.userId === userId)),
+      hold: async (userId, item, releaseAt) => {
+        const digest = digests.find(row => row.userId === userId);
+        if (digest) {
+          digests.update(digest, { items: [...digest.items, item], releaseAt });
+        } else {
+          digests.insert({ userId, items: [item], releaseAt });
+        }
+      },
+      markSent: async (userIds, sentAt) => {
+        userIds.forEach(userId => {
+          const digest = digests.find(row => row.userId === userId);
+          if (digest) {
+            digests.update(digest, { lastSentAt: sentAt });
+          } else {
+            digests.insert({ userId, lastSentAt: sentAt });
+          }
+        });
+      },
+      findDue: async (now) => hydrateAll(digests, digests.filter(digest =>
+        digest.releaseAt && digest.releaseAt <= now && digest.items.length > 0
+      )),
+      reschedule: async (id, releaseAt) => {
+        const digest = digests.get(id);
+        if (digest) digests.update(digest, { releaseAt });
+      },
+      claim: async (id, releaseAt, sentAt) => {
+        const digest = digests.get(id);
+        if (!digest || !digest.releaseAt || digest.releaseAt.getTime() !== releaseAt.getTime()) return null;
+
+        const claimed = digests.hydrate(digest);
+        digests.update(digest, { items: [], releaseAt: null, lastSentAt: sentAt });
+        return claimed;
+      }
+    },
+
+    deliveries: {
+      ...queueMethods(deliveryJobs),
+      enqueue: async (jobs) => jobs.map(job => deliveryJobs.insert(job)),
+      update: async (id, fields) => {
+        const job = deliveryJobs.get(id);
+        if (job) deliveryJobs.update(job, fields);
+      },
+      failPending: async (endpoint, reason) => {
+        deliveryJobs.filter(job => job.endpoint === endpoint && job.status === 'pending').forEach(job =>
+          deliveryJobs.update(job, { status: 'failed', lastError: reason, completedAt: new Date() })
+        );
+      },
+      find: async (filter, { limit }) => hydrateAll(deliveryJobs, deliveryJobs
+        .filter(job => Object.entries(filter).every(([field, value]) => job[field] === value))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)),
+      logAttempt: async (entry) => deliveryLogs.insert(entry),
+      findLogs: async (jobIds) => hydrateAll(deliveryLogs, deliveryLogs
+        .filter(entry => jobIds.includes(entry.jobId))
+        .sort((a, b) => a.createdAt - b.createdAt)),
+      countOutcomesSince: async (since) => deliveryLogs
+        .filter(entry => entry.createdAt >= since)
+        .reduce((counts, entry) => {
+          counts[entry.outcome] = (counts[entry.outcome] || 0) + 1;
+          return counts;
+        }, {})
+    },
+
+    // Ids are compared as hex strings, which orders them like MongoDB does
+    events: {
+      append: async (event) => events.insert(event),
+      findAfter: async (rooms, afterId, { limit }) => hydrateAll(events, events
+        .filter(event => rooms.includes(event.room) && event._id.toString() > afterId)
+        .sort(compareIds)
+        .slice(0, limit)),
+      findLatest: async (rooms) => events.hydrate(
+        events.filter(event => rooms.includes(event.room)).sort(compareIds).pop()
+      )
+    },
+
+    webhooks: {
+      create: async (fields) => webhooks.insert(fields),
+      findById: async (id) => webhooks.hydrate(webhooks.get(id)),
+      findByUser: async (userId) => hydrateAll(webhooks, webhooks
+        .filter(webhook => webhook.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt)),
+      countByUser: async (userId) => webhooks.filter(webhook => webhook.userId === userId).length,
+      findForEvent: async (event, { userId, spaceId }) => hydrateAll(webhooks, webhooks.filter(webhook =>
+        webhook.active &&
+        webhook.events.includes(event) &&
+        (webhook.spaceId ? Boolean(spaceId) && webhook.spaceId === spaceId : webhook.userId === userId)
+      )),
+      update: async (id, fields) => {
+        const webhook = webhooks.get(id);
+        return webhook ? webhooks.update(webhook, fields) : null;
+      },
+      delete: async (id) => {
+        webhookDeliveries.filter(delivery => delivery.webhookId === String(id))
+          .forEach(delivery => webhookDeliveries.remove(delivery));
+        const webhook = webhooks.get(id);
+        if (webhook) webhooks.remove(webhook);
+      },
+      recordSuccess: async (id) => {
+        const webhook = webhooks.get(id);
+        if (webhook) webhooks.update(webhook, { lastSuccessAt: new Date(), failureCount: 0 });
+      },
+      recordFailure: async (id) => {
+        const webhook = webhooks.get(id);
+        return webhook ? webhooks.update(webhook, { failureCount: webhook.failureCount + 1 }) : null;
+      }
+    },
+
+    webhookDeliveries: {
+      ...queueMethods(webhookDeliveries),
+      enqueue: async (rows) => rows.map(row => webhookDeliveries.insert(row)),
+      findById: async (id) => webhookDeliveries.hydrate(webhookDeliveries.get(id)),
+      update: async (id, fields, attempt) => {
+        const delivery = webhookDeliveries.get(id);
+        if (!delivery) return;
+        webhookDeliveries.update(delivery, attempt ? { ...fields, attemptLog: [...delivery.attemptLog, attempt] } : fields);
+      },
+      find: async (filter, { limit }) => hydrateAll(webhookDeliveries, webhookDeliveries
+        .filter(row => Object.entries(filter).every(([field, value]) => row[field] === value))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit))
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
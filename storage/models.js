@@ -0,0 +1,747 @@
+const mongoose = require('mongoose');
+
+// Mood Schema
+const moodSchema = new mongoose.Schema({
+  // Key of a MoodCatalog entry
+  mood: {
+    type: String,
+    required: true,
+    match: /^[a-z0-9-]{1,24}$/
+  },
+  emoji: {
+    type: String,
+    required: true
+  },
+  // Label at the time the mood was shared, so entries still render if the catalog changes
+  label: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  spaceId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 280
+  },
+  intensity: {
+    type: Number,
+    min: 1,
+    max: 5,
+    validate: Number.isInteger
+  },
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Idempotency key sent by the client, so replayed offline submissions aren't stored twice
+  clientId: {
+    type: String
+  },
+  // Space members who have viewed the mood (read receipts)
+  seenBy: {
+    type: [{
+      _id: false,
+      userId: String,
+      seenAt: Date
+    }],
+    default: undefined
+  }
+});
+
+moodSchema.index({ userId: 1, timestamp: -1 });
+moodSchema.index({ spaceId: 1, timestamp: -1 });
+moodSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Mood Catalog Schema (global defaults have spaceId null; a space's own
+// entries add moods or override a default with the same key)
+const moodCatalogSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-z0-9-]{1,24}$/
+  },
+  spaceId: {
+    type: String,
+    default: null
+  },
+  emoji: {
+    type: String,
+    required: true,
+    maxlength: 16
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 24
+  },
+  color: {
+    type: String,
+    default: '#667eea',
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  valence: {
+    type: String,
+    enum: ['positive', 'negative'],
+    required: true
+  },
+  // Retired moods can't be picked any more but keep rendering in history
+  retired: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 100
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moodCatalogSchema.index({ spaceId: 1, key: 1 }, { unique: true });
+
+// Reaction Schema (emoji reactions and short text replies to a mood)
+const reactionSchema = new mongoose.Schema({
+  moodId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['reaction', 'reply']
+  },
+  emoji: {
+    type: String,
+    maxlength: 16
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Push Subscription Schema
+const subscriptionSchema = new mongoose.Schema({
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // BCP 47 tag the browser reported; picks the catalog for push messages
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive failed deliveries, reset on success
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_.-]{3,32}$/
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  passwordSalt: {
+    type: String,
+    required: true
+  },
+  // Usernames in ADMIN_USERNAMES are admins too, without touching the database
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  // When the user's last open tab or device disconnected
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Session Schema (only a hash of the bearer token is stored)
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // MongoDB TTL index removes expired sessions
+  }
+});
+
+// API Token Schema (personal access tokens for scripts and the CLI)
+const apiTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Start of the token, so the owner can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    enum: ['mood:read', 'mood:write'],
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // null for tokens that don't expire
+  expiresAt: {
+    type: Date,
+    default: null,
+    expires: 0
+  }
+});
+
+// Space Schema (a couple or small group sharing moods)
+const spaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  members: {
+    type: [String],
+    index: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Notification Schema (the in-app feed, one row per recipient)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['mood-update', 'daily-reminder', 'reaction', 'system', 'connection']
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  icon: {
+    type: String,
+    default: '🔔'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// Notification Settings Schema (per-user preferences, enforced by the push sender)
+const notificationSettingsSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  moodUpdates: {
+    type: Boolean,
+    default: true
+  },
+  dailyReminders: {
+    type: Boolean,
+    default: false
+  },
+  browserNotifications: {
+    type: Boolean,
+    default: false
+  },
+  soundAlerts: {
+    type: Boolean,
+    default: true
+  },
+  reminderTime: {
+    type: String,
+    default: '20:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  quietHours: {
+    type: Boolean,
+    default: false
+  },
+  quietStart: {
+    type: String,
+    default: '22:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  quietEnd: {
+    type: String,
+    default: '07:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Local date (YYYY-MM-DD) of the last reminder handled, so restarts don't resend
+  lastReminderOn: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Push Digest Schema (mood-update pushes held back per recipient during quiet
+// hours or a burst, sent later as one collapsed push)
+const pushDigestSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    mood: String,
+    emoji: String,
+    label: String,
+    message: String,
+    timestamp: Date
+  }],
+  releaseAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Delivery Job Schema (one queued web push to one subscription)
+const deliveryJobSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: 'system'
+  },
+  title: {
+    type: String
+  },
+  payload: {
+    type: String,
+    required: true
+  },
+  ttl: {
+    type: Number,
+    required: true
+  },
+  urgency: {
+    type: String,
+    enum: ['very-low', 'low', 'normal', 'high'],
+    default: 'normal'
+  },
+  topic: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'expired'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushes are pointless once their TTL has passed, so retries stop here
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+deliveryJobSchema.index({ status: 1, nextAttemptAt: 1 });
+deliveryJobSchema.index({ userId: 1, createdAt: -1 });
+deliveryJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Delivery Log Schema (every attempt and its outcome)
+const deliveryLogSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  messageId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  attempt: {
+    type: Number,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['delivered', 'retry', 'failed', 'gone', 'expired'],
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60
+  }
+});
+
+deliveryLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Socket Event Schema (live updates kept so reconnecting clients can replay what they missed)
+const socketEventSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+socketEventSchema.index({ room: 1, _id: 1 });
+socketEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 3 * 24 * 60 * 60 });
+
+// Webhook Schema (an endpoint that receives mood events as signed JSON POSTs)
+const webhookSchema = new mongoose.Schema({
+  // Owner; only they can see and manage the webhook
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Set for space webhooks (events from everyone in the space), null for personal ones
+  spaceId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  events: {
+    type: [String],
+    required: true
+  },
+  // HMAC-SHA256 key for the signature header
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive failed deliveries, reset on success
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Webhook Delivery Schema (one event sent to one webhook, with every attempt)
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: String,
+    required: true
+  },
+  // Shared by redeliveries of the same event, so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The exact body that is signed and sent
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  redeliveryOf: {
+    type: String,
+    default: null
+  },
+  attemptLog: [{
+    _id: false,
+    attempt: Number,
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+    createdAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Registers the models on a connection (or on mongoose's default one). Each
+// MongoDB adapter binds its own, so apps in one process don't share a connection.
+function createModels(connection) {
+  return {
+    Mood: connection.model('Mood', moodSchema),
+    MoodCatalog: connection.model('MoodCatalog', moodCatalogSchema),
+    Reaction: connection.model('Reaction', reactionSchema),
+    PushSubscription: connection.model('PushSubscription', subscriptionSchema),
+    User: connection.model('User', userSchema),
+    Session: connection.model('Session', sessionSchema),
+    ApiToken: connection.model('ApiToken', apiTokenSchema),
+    Space: connection.model('Space', spaceSchema),
+    Notification: connection.model('Notification', notificationSchema),
+    NotificationSettings: connection.model('NotificationSettings', notificationSettingsSchema),
+    PushDigest: connection.model('PushDigest', pushDigestSchema),
+    DeliveryJob: connection.model('DeliveryJob', deliveryJobSchema),
+    DeliveryLog: connection.model('DeliveryLog', deliveryLogSchema),
+    SocketEvent: connection.model('SocketEvent', socketEventSchema),
+    Webhook: connection.model('Webhook', webhookSchema),
+    WebhookDelivery: connection.model('WebhookDelivery', webhookDeliverySchema)
+  };
+}
+
+// Models on the default connection, which is never opened: the memory
+// adapter only uses them to build and validate documents
+module.exports = { createModels, ...createModels(mongoose) };
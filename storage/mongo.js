@@ -0,0 +1,399 @@
+const mongoose = require('mongoose');
+const { createModels } = require('./models');
+
+// Translates a mood query (see storage/index.js) into a MongoDB filter
+function buildMoodFilter(query) {
+  const filter = {};
+
+  if (query.id !== undefined) filter._id = query.id;
+  if (query.userId !== undefined) filter.userId = query.userId;
+  if (query.clientId !== undefined) filter.clientId = query.clientId;
+  if (query.spaceId !== undefined) filter.spaceId = query.spaceId;
+  if (query.moods) filter.mood = { $in: query.moods };
+
+  if (query.timestamps) {
+    filter.timestamp = { $in: query.timestamps };
+  } else if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) filter.timestamp.$gte = query.from;
+    if (query.to) filter.timestamp.$lte = query.to;
+  }
+
+  if (query.before) {
+    filter.$or = [
+      { timestamp: { $lt: query.before.timestamp } },
+      { timestamp: query.before.timestamp, _id: { $lt: query.before.id } }
+    ];
+  }
+
+  return filter;
+}
+
+// claimNext and releaseStale for a job queue collection (see queue.js)
+function queueMethods(Model) {
+  return {
+    // Atomically marks the next due job as sending and counts the attempt
+    claimNext: (now) => Model.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ),
+    releaseStale: (lockedBefore) => Model.updateMany(
+      { status: 'sending', lockedAt: { $lt: lockedBefore } },
+      { status: 'pending', lockedAt: null }
+    )
+  };
+}
+
+function createMongoStorage({ uri }) {
+  // A connection of our own, so a second app in the process (tests, say) can
+  // connect and disconnect without affecting this one
+  const connection = mongoose.createConnection();
+  const {
+    Mood,
+    MoodCatalog,
+    Reaction,
+    PushSubscription,
+    User,
+    Session,
+    ApiToken,
+    Space,
+    Notification,
+    NotificationSettings,
+    PushDigest,
+    DeliveryJob,
+    DeliveryLog,
+    SocketEvent,
+    Webhook,
+    WebhookDelivery
+  } = createModels(connection);
+
+  return {
+    connect: async () => {
+      await connection.openUri(uri);
+      console.log('Connected to MongoDB');
+    },
+    disconnect: () => connection.close(),
+
+    users: {
+      findById: (id) => mongoose.isValidObjectId(id) ? User.findById(id) : null,
+      findByIds: (ids) => User.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) } }),
+      findByUsername: (username) => User.findOne({ username }),
+      create: (fields) => User.create(fields),
+      setLastSeen: (id, at) => User.updateOne({ _id: id }, { lastSeenAt: at })
+    },
+
+    sessions: {
+      create: (fields) => Session.create(fields),
+      findActive: (tokenHash) => Session.findOne({ tokenHash, expiresAt: { $gt: new Date() } }),
+      deleteByTokenHash: (tokenHash) => Session.deleteOne({ tokenHash })
+    },
+
+    apiTokens: {
+      create: (fields) => ApiToken.create(fields),
+      findActive: (tokenHash) => ApiToken.findOne({
+        tokenHash,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      }),
+      // Newest first
+      findByUser: (userId) => ApiToken.find({ userId }).sort({ createdAt: -1 }),
+      countByUser: (userId) => ApiToken.countDocuments({ userId }),
+      touch: (id, at) => ApiToken.updateOne({ _id: id }, { lastUsedAt: at }),
+      // Only deletes the user's own token; returns it, or null
+      deleteOwn: (id, userId) => mongoose.isValidObjectId(id) ? ApiToken.findOneAndDelete({ _id: id, userId }) : null
+    },
+
+    spaces: {
+      findById: (id) => mongoose.isValidObjectId(id) ? Space.findById(id) : null,
+      findByMember: (userId) => Space.findOne({ members: userId }),
+      findByInviteCode: (inviteCode) => Space.findOne({ inviteCode }),
+      create: (fields) => Space.create(fields),
+      update: (id, fields) => Space.findByIdAndUpdate(id, fields, { new: true }),
+      delete: (id) => Space.deleteOne({ _id: id })
+    },
+
+    catalog: {
+      // Inserts any missing entries; existing rows are left as edited
+      seedDefaults: (entries) => Promise.all(entries.map(entry =>
+        MoodCatalog.updateOne(
+          { spaceId: null, key: entry.key },
+          { $setOnInsert: entry },
+          { upsert: true }
+        )
+      )),
+      findForSpace: (spaceId) => MoodCatalog.find({ spaceId: { $in: spaceId ? [null, spaceId] : [null] } }),
+      findOne: (spaceId, key) => MoodCatalog.findOne({ spaceId, key }),
+      create: (fields) => MoodCatalog.create(fields),
+      update: (id, fields) => MoodCatalog.findByIdAndUpdate(id, fields, { new: true, runValidators: true })
+    },
+
+    reactions: {
+      create: (fields) => Reaction.create(fields),
+      findByMoodIds: (moodIds) => Reaction.find({ moodId: { $in: moodIds } }).sort({ createdAt: 1 }),
+      deleteOwn: (id, { moodId, userId }) => mongoose.isValidObjectId(id)
+        ? Reaction.findOneAndDelete({ _id: id, moodId, userId })
+        : null
+    },
+
+    notifications: {
+      list: (userId, { skip, limit }) => Notification.find({ userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      count: (userId, { unread = false } = {}) =>
+        Notification.countDocuments(unread ? { userId, read: false } : { userId }),
+      markAllRead: async (userId) => {
+        const result = await Notification.updateMany({ userId, read: false }, { read: true });
+        return result.modifiedCount;
+      },
+      markRead: (userId, id) => mongoose.isValidObjectId(id)
+        ? Notification.findOneAndUpdate({ _id: id, userId }, { read: true }, { new: true })
+        : null,
+      createMany: (notifications) => Notification.insertMany(notifications)
+    },
+
+    settings: {
+      // Keyed by user id; users who never saved settings get the defaults
+      getForUsers: async (userIds) => {
+        const saved = await NotificationSettings.find({ userId: { $in: userIds } });
+
+        const byUser = {};
+        userIds.forEach(userId => {
+          byUser[userId] = new NotificationSettings({ userId });
+        });
+        saved.forEach(settings => {
+          byUser[settings.userId] = settings;
+        });
+
+        return byUser;
+      },
+      update: (userId, fields) => NotificationSettings.findOneAndUpdate(
+        { userId },
+        fields,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ),
+      findWithDailyReminders: () => NotificationSettings.find({ dailyReminders: true })
+    },
+
+    subscriptions: {
+      save: ({ endpoint, keys, userId, locale }) => PushSubscription.findOneAndUpdate(
+        { endpoint },
+        { endpoint, keys, userId, locale },
+        { upsert: true, new: true }
+      ),
+      remove: (endpoint, userId) => PushSubscription.deleteOne({ endpoint, userId }),
+      find: ({ userId } = {}, { limit } = {}) => PushSubscription.find(userId ? { userId } : {})
+        .sort({ createdAt: -1 })
+        .limit(limit || 0),
+      findById: (id) => mongoose.isValidObjectId(id) ? PushSubscription.findById(id) : null,
+      findByEndpoint: (endpoint) => PushSubscription.findOne({ endpoint }),
+      findByUserIds: (userIds) => PushSubscription.find({ userId: { $in: userIds } }),
+      deleteById: (id) => mongoose.isValidObjectId(id) ? PushSubscription.findByIdAndDelete(id) : null,
+      recordSuccess: (id) => PushSubscription.updateOne({ _id: id }, { lastSuccessAt: new Date(), failureCount: 0 }),
+      recordFailure: (id) => PushSubscription.updateOne({ _id: id }, { $inc: { failureCount: 1 } })
+    },
+
+    moods: {
+      findLatest: (query) => Mood.findOne(buildMoodFilter(query)).sort({ timestamp: -1 }),
+      findOne: (query) => Mood.findOne(buildMoodFilter(query)),
+      // Newest first
+      find: (query, { limit } = {}) => Mood.find(buildMoodFilter(query))
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit || 0),
+      // Oldest first, without loading everything at once
+      stream: (query) => Mood.find(buildMoodFilter(query)).sort({ timestamp: 1 }).cursor(),
+      create: (fields) => Mood.create(fields),
+      insertMany: (moods) => Mood.insertMany(moods),
+      // Records the first time a user saw the mood; null if they already had (or it's gone)
+      markSeen: (id, userId, at) => Mood.findOneAndUpdate(
+        { _id: id, 'seenBy.userId': { $ne: userId } },
+        { $push: { seenBy: { userId, seenAt: at } } },
+        { new: true }
+      ),
+
+      getStats: async (query, from, to, timezone) => {
+        const [facets] = await Mood.aggregate([
+          { $match: buildMoodFilter({ ...query, from, to }) },
+          { $sort: { timestamp: -1 } },
+          {
+            $facet: {
+              moodCounts: [
+                { $group: { _id: '$mood', count: { $sum: 1 }, emoji: { $first: '$emoji' } } },
+                { $sort: { count: -1, _id: 1 } }
+              ],
+              perDay: [
+                {
+                  $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+                    count: { $sum: 1 }
+                  }
+                },
+                { $sort: { _id: 1 } }
+              ],
+              heatmap: [
+                {
+                  $group: {
+                    _id: {
+                      dayOfWeek: { $dayOfWeek: { date: '$timestamp', timezone } },
+                      hour: { $hour: { date: '$timestamp', timezone } }
+                    },
+                    count: { $sum: 1 }
+                  }
+                }
+              ],
+              weeklyTopMood: [
+                {
+                  $group: {
+                    _id: {
+                      week: { $dateToString: { format: '%G-W%V', date: '$timestamp', timezone } },
+                      mood: '$mood'
+                    },
+                    count: { $sum: 1 },
+                    emoji: { $first: '$emoji' }
+                  }
+                },
+                { $sort: { '_id.week': 1, count: -1, '_id.mood': 1 } },
+                {
+                  $group: {
+                    _id: '$_id.week',
+                    mood: { $first: '$_id.mood' },
+                    emoji: { $first: '$emoji' },
+                    count: { $first: '$count' }
+                  }
+                },
+                { $sort: { _id: 1 } }
+              ]
+            }
+          }
+        ]);
+
+        return {
+          moodCounts: facets.moodCounts.map(entry => ({ mood: entry._id, emoji: entry.emoji, count: entry.count })),
+          perDay: facets.perDay.map(entry => ({ date: entry._id, count: entry.count })),
+          heatmap: facets.heatmap.map(entry => ({
+            dayOfWeek: entry._id.dayOfWeek - 1, // 0 = Sunday, matching Date#getDay
+            hour: entry._id.hour,
+            count: entry.count
+          })),
+          weeklyTopMood: facets.weeklyTopMood.map(entry => ({
+            week: entry._id,
+            mood: entry.mood,
+            emoji: entry.emoji,
+            count: entry.count
+          }))
+        };
+      },
+
+      // Distinct local dates (YYYY-MM-DD) with at least one mood since a moment
+      getCheckInDays: async (query, since, timezone) => {
+        const days = await Mood.aggregate([
+          { $match: buildMoodFilter({ ...query, from: since }) },
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } } } }
+        ]);
+        return days.map(day => day._id);
+      },
+
+      // Moods and distinct users per UTC day across everyone, oldest first
+      countByDay: async (since) => {
+        const days = await Mood.aggregate([
+          { $match: { timestamp: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+              count: { $sum: 1 },
+              users: { $addToSet: '$userId' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]);
+        return days.map(day => ({ date: day._id, count: day.count, activeUsers: day.users.length }));
+      }
+    },
+
+    digests: {
+      findByUser: (userId) => PushDigest.findOne({ userId }),
+      hold: (userId, item, releaseAt) => PushDigest.updateOne(
+        { userId },
+        { $push: { items: item }, $set: { releaseAt } },
+        { upsert: true }
+      ),
+      markSent: (userIds, sentAt) => Promise.all(userIds.map(userId =>
+        PushDigest.updateOne({ userId }, { $set: { lastSentAt: sentAt } }, { upsert: true })
+      )),
+      findDue: (now) => PushDigest.find({ releaseAt: { $lte: now }, 'items.0': { $exists: true } }),
+      reschedule: (id, releaseAt) => PushDigest.updateOne({ _id: id }, { releaseAt }),
+      // Empties the digest if it is still scheduled for releaseAt; returns it as it was
+      claim: (id, releaseAt, sentAt) => PushDigest.findOneAndUpdate(
+        { _id: id, releaseAt },
+        { $set: { items: [], releaseAt: null, lastSentAt: sentAt } }
+      )
+    },
+
+    deliveries: {
+      ...queueMethods(DeliveryJob),
+      enqueue: (jobs) => DeliveryJob.insertMany(jobs),
+      update: (id, fields) => DeliveryJob.updateOne({ _id: id }, fields),
+      failPending: (endpoint, reason) => DeliveryJob.updateMany(
+        { endpoint, status: 'pending' },
+        { status: 'failed', lastError: reason, completedAt: new Date() }
+      ),
+      // Newest first; filter by userId, messageId and/or status
+      find: (filter, { limit }) => DeliveryJob.find(filter).sort({ createdAt: -1 }).limit(limit),
+      logAttempt: (entry) => DeliveryLog.create(entry),
+      findLogs: (jobIds) => DeliveryLog.find({ jobId: { $in: jobIds } }).sort({ createdAt: 1 }),
+      countOutcomesSince: async (since) => {
+        const outcomes = await DeliveryLog.aggregate([
+          { $match: { createdAt: { $gte: since } } },
+          { $group: { _id: '$outcome', count: { $sum: 1 } } }
+        ]);
+        return Object.fromEntries(outcomes.map(outcome => [outcome._id, outcome.count]));
+      }
+    },
+
+    // ObjectIds grow over time, so an event's id doubles as its position in the log
+    events: {
+      append: (event) => SocketEvent.create(event),
+      // Oldest first
+      findAfter: (rooms, afterId, { limit }) => SocketEvent.find({ room: { $in: rooms }, _id: { $gt: afterId } })
+        .sort({ _id: 1 })
+        .limit(limit),
+      findLatest: (rooms) => SocketEvent.findOne({ room: { $in: rooms } }).sort({ _id: -1 })
+    },
+
+    webhooks: {
+      create: (fields) => Webhook.create(fields),
+      findById: (id) => mongoose.isValidObjectId(id) ? Webhook.findById(id) : null,
+      // Newest first
+      findByUser: (userId) => Webhook.find({ userId }).sort({ createdAt: -1 }),
+      countByUser: (userId) => Webhook.countDocuments({ userId }),
+      // Active webhooks subscribed to an event: the user's personal ones and the space's
+      findForEvent: (event, { userId, spaceId }) => Webhook.find({
+        active: true,
+        events: event,
+        $or: [{ userId, spaceId: null }, ...(spaceId ? [{ spaceId }] : [])]
+      }),
+      update: (id, fields) => Webhook.findByIdAndUpdate(id, fields, { new: true }),
+      delete: async (id) => {
+        await WebhookDelivery.deleteMany({ webhookId: String(id) });
+        await Webhook.deleteOne({ _id: id });
+      },
+      recordSuccess: (id) => Webhook.updateOne({ _id: id }, { lastSuccessAt: new Date(), failureCount: 0 }),
+      // Returns the webhook with the new count
+      recordFailure: (id) => Webhook.findByIdAndUpdate(id, { $inc: { failureCount: 1 } }, { new: true })
+    },
+
+    webhookDeliveries: {
+      ...queueMethods(WebhookDelivery),
+      enqueue: (deliveries) => WebhookDelivery.insertMany(deliveries),
+      findById: (id) => mongoose.isValidObjectId(id) ? WebhookDelivery.findById(id) : null,
+      update: (id, fields, attempt) => WebhookDelivery.updateOne(
+        { _id: id },
+        attempt ? { $set: fields, $push: { attemptLog: attempt } } : { $set: fields }
+      ),
+      // Newest first; filter by webhookId and/or status
+      find: (filter, { limit }) => WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit)
+    }
+  };
+}
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,170 @@
+// Mood pushes through createMoodApp: delivery, retries, digests and idempotency
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+
+// Records every push, and fails those whose endpoint has an error set
+const sent = [];
+const failures = {};
+const pushSender = {
+  sendNotification: async (subscription, payload, options) => {
+    sent.push({ endpoint: subscription.endpoint, payload: JSON.parse(payload), options });
+    if (failures[subscription.endpoint]) {
+      throw failures[subscription.endpoint];
+    }
+    return { statusCode: 201 };
+  }
+};
+
+function pushError(statusCode, headers = {}) {
+  return Object.assign(new Error(`Received unexpected response code ${statusCode}`), { statusCode, headers });
+}
+
+async function waitFor(check) {
+  const deadline = Date.now() + 2000;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting');
+}
+
+// Puts the users in one space; all but the first get a push subscription
+async function createSpace(owner, ...members) {
+  const users = [await app.register(owner)];
+  const { data } = await app.call('POST', '/api/spaces', users[0].token, { name: 'Home' });
+
+  for (const username of members) {
+    const user = await app.register(username);
+    user.endpoint = `https://push.example.com/${username}`;
+    await app.call('POST', '/api/spaces/join', user.token, { inviteCode: data.space.inviteCode });
+    await app.call('POST', '/api/subscribe', user.token, {
+      endpoint: user.endpoint,
+      keys: { p256dh: 'key', auth: 'auth' }
+    });
+    users.push(user);
+  }
+  return users;
+}
+
+const findJob = async (endpoint) => (await app.store.deliveries.find({ endpoint }, { limit: 1 }))[0];
+
+before(async () => {
+  // Every test signs up new users
+  app = await startApp({ authRateLimit: 100 }, { pushSender });
+});
+
+after(() => app.stop());
+
+test("setting a mood pushes it to the partner's subscription", async () => {
+  const [carol, dave] = await createSpace('carol', 'dave');
+
+  await app.call('POST', '/api/mood/set', carol.token, { mood: 'happy', note: 'sunny' });
+
+  const push = await waitFor(() => sent.find(entry => entry.endpoint === dave.endpoint));
+  assert.strictEqual(push.payload.title, 'Mood Update');
+  assert.strictEqual(push.payload.data.mood, 'happy');
+  assert.strictEqual(push.payload.data.note, 'sunny');
+  assert.ok(push.options.TTL > 0 && push.options.TTL <= 6 * 60 * 60);
+  assert.strictEqual(push.options.urgency, 'normal');
+  assert.strictEqual(push.options.topic, 'mood-update');
+});
+
+test('a push the service rate limits is retried after Retry-After', async () => {
+  const [erin, frank] = await createSpace('erin', 'frank');
+  failures['https://push.example.com/frank'] = pushError(429, { 'retry-after': '120' });
+
+  await app.call('POST', '/api/mood/set', erin.token, { mood: 'calm' });
+
+  const job = await waitFor(async () => {
+    const found = await findJob(frank.endpoint);
+    return found && found.lastError ? found : null;
+  });
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.attempts, 1);
+  assert.ok(job.nextAttemptAt - Date.now() > 110 * 1000);
+});
+
+test('a push that fails with a server error is retried with backoff', async () => {
+  const [gina, hank] = await createSpace('gina', 'hank');
+  failures['https://push.example.com/hank'] = pushError(503);
+
+  await app.call('POST', '/api/mood/set', gina.token, { mood: 'calm' });
+
+  const job = await waitFor(async () => {
+    const found = await findJob(hank.endpoint);
+    return found && found.lastError ? found : null;
+  });
+  assert.strictEqual(job.status, 'pending');
+  // First retry waits 2.5 to 5 seconds
+  const delay = job.nextAttemptAt - Date.now();
+  assert.ok(delay > 2000 && delay <= 5000);
+});
+
+test('a subscription the push service no longer knows is removed', async () => {
+  const [ivan, judy] = await createSpace('ivan', 'judy');
+  failures['https://push.example.com/judy'] = pushError(410);
+
+  await app.call('POST', '/api/mood/set', ivan.token, { mood: 'sad' });
+
+  const job = await waitFor(async () => {
+    const found = await findJob(judy.endpoint);
+    return found && found.status === 'failed' ? found : null;
+  });
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(await app.store.subscriptions.findByEndpoint(judy.endpoint), null);
+});
+
+test('a mood set during quiet hours is held for a digest', async () => {
+  const [kim, liam] = await createSpace('kim', 'liam');
+  const timeOfDay = (offsetMs) => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+  await app.call('POST', '/api/settings/notifications', liam.token, {
+    'quiet-hours': true,
+    'quiet-start': timeOfDay(-60 * 60 * 1000),
+    'quiet-end': timeOfDay(60 * 60 * 1000),
+    timezone: 'UTC'
+  });
+
+  await app.call('POST', '/api/mood/set', kim.token, { mood: 'excited' });
+
+  const digest = await app.store.digests.findByUser(liam.id);
+  assert.deepStrictEqual(digest.items.map(item => item.mood), ['excited']);
+  assert.ok(digest.releaseAt > new Date());
+  assert.strictEqual(await findJob(liam.endpoint), undefined);
+});
+
+test('moods right after a delivered push are held, for subscribers only', async () => {
+  const [mona, ned, oscar] = await createSpace('mona', 'ned', 'oscar');
+  await app.call('POST', '/api/unsubscribe', oscar.token, { endpoint: oscar.endpoint });
+
+  await app.call('POST', '/api/mood/set', mona.token, { mood: 'happy' });
+  await waitFor(async () => {
+    const digest = await app.store.digests.findByUser(ned.id);
+    return digest && digest.lastSentAt;
+  });
+
+  await app.call('POST', '/api/mood/set', mona.token, { mood: 'tired' });
+
+  const held = await app.store.digests.findByUser(ned.id);
+  assert.deepStrictEqual(held.items.map(item => item.mood), ['tired']);
+  // Nothing reached oscar, so their next update isn't held back
+  assert.strictEqual(await app.store.digests.findByUser(oscar.id), null);
+});
+
+test('repeating a mood with the same Idempotency-Key stores it once', async () => {
+  const pat = await app.register('pat');
+  const headers = { 'Idempotency-Key': 'offline-1' };
+
+  const first = await app.call('POST', '/api/mood/set', pat.token, { mood: 'happy' }, headers);
+  const second = await app.call('POST', '/api/mood/set', pat.token, { mood: 'happy' }, headers);
+
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.data.duplicate, true);
+  assert.strictEqual(second.data.mood.id, first.data.mood.id);
+
+  const history = await app.call('GET', '/api/mood/history', pat.token);
+  assert.strictEqual(history.data.history.length, 1);
+});
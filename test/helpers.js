@@ -0,0 +1,46 @@
+// Starts an app on the memory store with a random port, for the tests. Pass
+// a pushSender to see or fail the pushes it sends.
+const http = require('http');
+const { createMoodApp } = require('../app');
+const { createStorage } = require('../storage');
+
+async function startApp(config = {}, { pushSender } = {}) {
+  const store = createStorage({ STORAGE: 'memory' });
+  const moodApp = createMoodApp({
+    store,
+    pushSender: pushSender || { sendNotification: async () => ({ statusCode: 201 }) },
+    config
+  });
+  const server = http.createServer(moodApp.app);
+  moodApp.attach(server);
+  await moodApp.start();
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  async function call(method, path, token, body, headers = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  }
+
+  async function register(username) {
+    const { data } = await call('POST', '/api/auth/register', null, { username, password: 'password1' });
+    return { token: data.token, id: data.user.id };
+  }
+
+  async function stop() {
+    await new Promise(resolve => server.close(resolve));
+    await moodApp.stop();
+  }
+
+  return { call, register, stop, store };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,31 @@
+// Importing moods only accepts moods from the catalog
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test('prototype keys and unknown moods are rejected row by row', async () => {
+  const alice = await app.register('alice');
+  const timestamp = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const { status, data } = await app.call('POST', '/api/mood/import', alice.token, [
+    { mood: 'constructor', emoji: '😀', timestamp },
+    { mood: 'toString', timestamp },
+    { mood: 'nope', timestamp },
+    { mood: 'happy', timestamp }
+  ]);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.imported, 1);
+  assert.deepStrictEqual(data.invalid.map(row => row.row), [1, 2, 3]);
+
+  const history = await app.call('GET', '/api/mood/history', alice.token);
+  assert.deepStrictEqual(history.data.history.map(mood => mood.mood), ['happy']);
+});
@@ -0,0 +1,64 @@
+// Other users' moods are only visible to members of the same space
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+const call = (...args) => app.call(...args);
+const register = (username) => app.register(username);
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test("a user without a space can't read another user's moods", async () => {
+  const alice = await register('alice');
+  const bob = await register('bob');
+  await call('POST', '/api/mood/set', alice.token, { mood: 'happy', note: 'private diary' });
+
+  const current = await call('GET', `/api/mood/current?userId=${alice.id}`, bob.token);
+  assert.strictEqual(current.status, 404);
+  assert.strictEqual(current.data.mood, undefined);
+
+  const history = await call('GET', `/api/mood/history?userId=${alice.id}`, bob.token);
+  assert.strictEqual(history.status, 404);
+  assert.strictEqual(history.data.history, undefined);
+
+  const own = await call('GET', `/api/mood/current?userId=${alice.id}`, alice.token);
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.data.mood.note, 'private diary');
+});
+
+test("a user without a space can't read another user's stats", async () => {
+  const erin = await register('erin');
+  const frank = await register('frank');
+  await call('POST', '/api/mood/set', erin.token, { mood: 'happy' });
+
+  const stats = await call('GET', `/api/mood/stats?userId=${erin.id}`, frank.token);
+  assert.strictEqual(stats.status, 404);
+  assert.strictEqual(stats.data.stats, undefined);
+});
+
+test("a user without a space can't export another user's moods", async () => {
+  const grace = await register('grace');
+  const heidi = await register('heidi');
+  await call('POST', '/api/mood/set', grace.token, { mood: 'sad', note: 'private diary' });
+
+  const exported = await call('GET', `/api/mood/export?format=json&userId=${grace.id}`, heidi.token);
+  assert.strictEqual(exported.status, 404);
+  assert.strictEqual(exported.data.success, false);
+});
+
+test("space members can read each other's moods", async () => {
+  const carol = await register('carol');
+  const dave = await register('dave');
+  const { data } = await call('POST', '/api/spaces', carol.token, { name: 'Home' });
+  await call('POST', '/api/spaces/join', dave.token, { inviteCode: data.space.inviteCode });
+  await call('POST', '/api/mood/set', carol.token, { mood: 'calm' });
+
+  const current = await call('GET', `/api/mood/current?userId=${carol.id}`, dave.token);
+  assert.strictEqual(current.status, 200);
+  assert.strictEqual(current.data.mood.mood, 'calm');
+});
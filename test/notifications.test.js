@@ -0,0 +1,35 @@
+// Feed notifications are written in each recipient's language
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test("a mood update reaches the feed in the recipient's locale", async () => {
+  const carol = await app.register('carol');
+  const dave = await app.register('dave');
+  const erin = await app.register('erin');
+  const { data } = await app.call('POST', '/api/spaces', carol.token, { name: 'Home' });
+  await app.call('POST', '/api/spaces/join', dave.token, { inviteCode: data.space.inviteCode });
+  await app.call('POST', '/api/spaces/join', erin.token, { inviteCode: data.space.inviteCode });
+  await app.call('POST', '/api/subscribe', dave.token, {
+    endpoint: 'https://push.example.com/dave',
+    keys: { p256dh: 'key', auth: 'auth' },
+    locale: 'de-DE'
+  });
+
+  await app.call('POST', '/api/mood/set', carol.token, { mood: 'happy' });
+
+  const german = await app.call('GET', '/api/notifications', dave.token);
+  assert.strictEqual(german.data.notifications[0].message, 'carol fühlt sich glücklich');
+
+  // Without a subscription there is no locale to go by
+  const english = await app.call('GET', '/api/notifications', erin.token);
+  assert.strictEqual(english.data.notifications[0].message, 'carol is feeling happy');
+});
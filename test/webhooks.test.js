@@ -0,0 +1,50 @@
+// Webhooks can't be aimed at the server's own network
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test('webhooks to loopback, private and link-local addresses are refused', async () => {
+  const alice = await app.register('alice');
+
+  for (const url of [
+    'https://127.0.0.1:9/internal',
+    'https://169.254.169.254/latest/meta-data/',
+    'https://10.0.0.5/hook',
+    'https://[::1]/hook',
+    'https://[fd00::1]/hook',
+    'https://localhost/hook'
+  ]) {
+    const { status, data } = await app.call('POST', '/api/webhooks', alice.token, { url, events: ['mood.created'] });
+    assert.strictEqual(status, 400, url);
+    assert.strictEqual(data.success, false);
+  }
+
+  const { data } = await app.call('GET', '/api/webhooks', alice.token);
+  assert.strictEqual(data.webhooks.length, 0);
+});
+
+test('a webhook can be moved to a private address only when that is allowed', async () => {
+  const bob = await app.register('bob');
+  const created = await app.call('POST', '/api/webhooks', bob.token, { url: 'https://93.184.216.34/hook', events: ['mood.created'] });
+  assert.strictEqual(created.status, 201);
+
+  const updated = await app.call('PUT', `/api/webhooks/${created.data.webhook.id}`, bob.token, { url: 'https://192.168.1.10/hook' });
+  assert.strictEqual(updated.status, 400);
+
+  const lan = await startApp({ webhookAllowPrivateNetworks: true });
+  try {
+    const carol = await lan.register('carol');
+    const { status } = await lan.call('POST', '/api/webhooks', carol.token, { url: 'https://192.168.1.10/hook', events: ['mood.created'] });
+    assert.strictEqual(status, 201);
+  } finally {
+    await lan.stop();
+  }
+});
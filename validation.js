@@ -0,0 +1,135 @@
+const { isValidId } = require('./storage');
+
+// Request validation. A schema maps each request part to its fields:
+//
+//   validate({
+//     body: { name: { type: 'string', required: true, maxLength: 24 } },
+//     query: { limit: { type: 'integer', min: 1 } }
+//   })
+//
+// Field types: string, boolean, integer, date, id, emoji, enum (with values)
+// and array (with items and maxItems). Query values arrive as text, so
+// integer, boolean and date fields are read from their text form there.
+// Missing and null fields are skipped unless required; fields not in the
+// schema are left for the route to ignore. The first problem is answered with
+// a 400 in the usual { success: false, error } shape.
+
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}]+$/u;
+const EMOJI_BASE_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+const EMOJI_MAX_LENGTH = 16;
+
+// A single emoji sequence (ZWJ sequences, flags, keycaps and skin tones
+// included) and nothing else, so it is safe to show wherever an emoji goes
+function isEmoji(value) {
+  return typeof value === 'string' &&
+    value.length <= EMOJI_MAX_LENGTH &&
+    EMOJI_PATTERN.test(value) &&
+    EMOJI_BASE_PATTERN.test(value);
+}
+
+function checkField(name, rule, value, fromQuery) {
+  if (fromQuery && typeof value !== 'string') {
+    return `'${name}' must be given once`;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `'${name}' must be text`;
+      if (rule.required && !value.trim()) return `'${name}' is required`;
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `'${name}' must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return `'${name}' is not valid`;
+      return null;
+
+    case 'boolean':
+      if (fromQuery ? !['true', 'false'].includes(value) : typeof value !== 'boolean') {
+        return `'${name}' must be true or false`;
+      }
+      return null;
+
+    case 'integer': {
+      const number = fromQuery ? (/^-?\d+$/.test(value) ? Number(value) : NaN) : value;
+      if (!Number.isInteger(number)) return `'${name}' must be a whole number`;
+      if (rule.min !== undefined && number < rule.min) return `'${name}' must be at least ${rule.min}`;
+      if (rule.max !== undefined && number > rule.max) return `'${name}' must be at most ${rule.max}`;
+      return null;
+    }
+
+    case 'date':
+      if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(new Date(value).getTime())) {
+        return `'${name}' must be a date`;
+      }
+      return null;
+
+    case 'id':
+      if (typeof value !== 'string' || !isValidId(value)) return `'${name}' is not a valid id`;
+      return null;
+
+    case 'emoji':
+      if (!isEmoji(value)) return `'${name}' must be a single emoji`;
+      return null;
+
+    case 'enum':
+      if (!rule.values.includes(value)) return `'${name}' must be one of ${rule.values.join(', ')}`;
+      return null;
+
+    case 'array':
+      if (!Array.isArray(value)) return `'${name}' must be a list`;
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return `'${name}' must have at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (const item of value) {
+          const error = checkField(`${name}[]`, rule.items, item, false);
+          if (error) return error;
+        }
+      }
+      return null;
+
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `'${name}' must be an object`;
+      return rule.fields ? checkFields(rule.fields, value, false) : null;
+
+    default:
+      throw new Error(`Unknown validation type '${rule.type}' for '${name}'`);
+  }
+}
+
+function checkFields(fields, values, fromQuery) {
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = values[name];
+    const missing = value === undefined || value === null || (fromQuery && value === '');
+
+    if (missing) {
+      if (rule.required) return `'${name}' is required`;
+      continue;
+    }
+
+    const error = checkField(name, rule, value, fromQuery);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    if (schema.body) {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+      }
+    }
+
+    const error = (schema.params && checkFields(schema.params, req.params, true)) ||
+      (schema.query && checkFields(schema.query, req.query, true)) ||
+      (schema.body && checkFields(schema.body, req.body, false));
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, isEmoji };